@@ -0,0 +1,78 @@
+/**
+ * Benchmark harness for tiling generation
+ * Run with `node benchmark.js` to time each pipeline stage for increasing numbers of lines per family
+ */
+
+const {
+    generateGridFamilies,
+    findIntersections,
+    generateRhombi,
+    buildRhombGraph
+} = require('./utils.js');
+
+// Line counts to benchmark
+const BENCHMARK_NUM_LINES = [1, 2, 4, 8, 12, 16, 20];
+
+// Grid parameters, mirroring the sketch defaults
+const BENCHMARK_PARAMS = {
+    gammas: [0.17, 0.21, 0.28, 0.3, 0.04],
+    spacing: 400,
+    scale: 55
+};
+
+/**
+ * Time each stage of the generation pipeline
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale}
+ * @returns {Object} Rhombus count and stage timings in milliseconds
+ */
+function runBenchmark(params) {
+    const timings = {};
+    let start = performance.now();
+
+    const gridLines = generateGridFamilies(params);
+    timings.grid = performance.now() - start;
+
+    start = performance.now();
+    const intersections = findIntersections(gridLines);
+    timings.intersections = performance.now() - start;
+
+    start = performance.now();
+    const rhombs = generateRhombi(intersections, params.scale);
+    timings.rhombi = performance.now() - start;
+
+    start = performance.now();
+    buildRhombGraph(rhombs);
+    timings.graph = performance.now() - start;
+
+    timings.total = timings.grid + timings.intersections + timings.rhombi + timings.graph;
+    return { rhombCount: rhombs.length, timings };
+}
+
+/**
+ * Run the benchmark for every line count and print a table
+ */
+function main() {
+    const rows = ['lines  rhombi  grid(ms)  intersections(ms)  rhombi(ms)  graph(ms)  total(ms)'];
+
+    // Silence per-rhombus logging so it doesn't dominate the timings
+    const log = console.log;
+    console.log = () => {};
+
+    for (const numLines of BENCHMARK_NUM_LINES) {
+        const { rhombCount, timings } = runBenchmark({ ...BENCHMARK_PARAMS, numLines });
+        rows.push([
+            String(numLines).padStart(5),
+            String(rhombCount).padStart(7),
+            timings.grid.toFixed(1).padStart(9),
+            timings.intersections.toFixed(1).padStart(18),
+            timings.rhombi.toFixed(1).padStart(11),
+            timings.graph.toFixed(1).padStart(10),
+            timings.total.toFixed(1).padStart(10)
+        ].join(' '));
+    }
+
+    console.log = log;
+    console.log(rows.join('\n'));
+}
+
+main();
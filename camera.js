@@ -0,0 +1,144 @@
+/**
+ * Pan/zoom camera
+ * Maps between screen coordinates and tiling coordinates, so hit-testing and
+ * drag deltas stay correct at any zoom level or pan offset
+ */
+
+// Zoom limits, in screen pixels per tiling unit
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 20;
+
+// Zoom change per pixel of mouse wheel scroll
+const WHEEL_ZOOM_RATE = 0.001;
+
+// Screen margin kept around the tiles when fitting the view
+const FIT_MARGIN = 40;
+
+// Tiling point shown at the canvas center, and the zoom level
+let camera = { x: 0, y: 0, zoom: 1 };
+
+// Whether the current drag pans the view instead of moving a rhombus
+let isPanning = false;
+
+/**
+ * Apply the camera transform for drawing in tiling coordinates
+ */
+function applyCamera() {
+    translate(centerX, centerY);
+    scale(camera.zoom);
+    translate(-camera.x, -camera.y);
+}
+
+/**
+ * Convert a screen position to tiling coordinates
+ * @param {number} screenX - X coordinate in canvas pixels
+ * @param {number} screenY - Y coordinate in canvas pixels
+ * @returns {Object} Tiling coordinates {x, y}
+ */
+function screenToWorld(screenX, screenY) {
+    return {
+        x: (screenX - centerX) / camera.zoom + camera.x,
+        y: (screenY - centerY) / camera.zoom + camera.y
+    };
+}
+
+/**
+ * Convert a screen-space stroke weight to tiling units, so outlines keep their width when zoomed
+ * @param {number} weight - Stroke weight in screen pixels
+ * @returns {number} Stroke weight in tiling units
+ */
+function screenWeight(weight) {
+    return weight / camera.zoom;
+}
+
+/**
+ * Get the region of the tiling currently visible on the canvas
+ * @returns {Object} Viewport {x, y, width, height} in tiling coordinates
+ */
+function getCameraViewport() {
+    const topLeft = screenToWorld(0, 0);
+    return { x: topLeft.x, y: topLeft.y, width: width / camera.zoom, height: height / camera.zoom };
+}
+
+/**
+ * Check whether a mouse event targets the canvas rather than a button or the panel above it
+ * @param {Event} event - DOM event passed to the p5 handler
+ * @returns {boolean} True if the event belongs to the canvas
+ */
+function isCanvasEvent(event) {
+    return !event || !event.target || event.target === sketchCanvas.elt;
+}
+
+/**
+ * Zoom around a screen position, keeping the tiling point under it fixed
+ * @param {number} screenX - X coordinate in canvas pixels
+ * @param {number} screenY - Y coordinate in canvas pixels
+ * @param {number} factor - Zoom multiplier
+ */
+function zoomAt(screenX, screenY, factor) {
+    const anchor = screenToWorld(screenX, screenY);
+
+    camera.zoom = constrain(camera.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+    camera.x = anchor.x - (screenX - centerX) / camera.zoom;
+    camera.y = anchor.y - (screenY - centerY) / camera.zoom;
+}
+
+/**
+ * Move the view by a screen-space delta
+ * @param {number} deltaX - Horizontal mouse movement in canvas pixels
+ * @param {number} deltaY - Vertical mouse movement in canvas pixels
+ */
+function panCamera(deltaX, deltaY) {
+    camera.x -= deltaX / camera.zoom;
+    camera.y -= deltaY / camera.zoom;
+}
+
+/**
+ * Follow the tiling when it is scaled about the origin, so the view stays where it was
+ * @param {number} factor - Scale factor applied to the tiling
+ */
+function scaleCamera(factor) {
+    camera.x *= factor;
+    camera.y *= factor;
+    camera.zoom = constrain(camera.zoom / factor, MIN_ZOOM, MAX_ZOOM);
+}
+
+/**
+ * Zoom with the mouse wheel, centered on the cursor
+ * @param {WheelEvent} event - Wheel event
+ * @returns {boolean|undefined} False to stop the page from scrolling
+ */
+function mouseWheel(event) {
+    if (!isCanvasEvent(event) || !isWithinBounds(mouseX, mouseY)) {
+        return;
+    }
+
+    zoomAt(mouseX, mouseY, Math.exp(-event.delta * WHEEL_ZOOM_RATE));
+    return false;
+}
+
+/**
+ * Center and zoom the view so every rhombus is visible
+ */
+function fitToContent() {
+    const bounds = getRhombBounds(rhombPoints);
+    if (bounds.width === 0 || bounds.height === 0) {
+        resetView();
+        return;
+    }
+
+    camera.zoom = constrain(
+        Math.min((width - 2 * FIT_MARGIN) / bounds.width, (height - 2 * FIT_MARGIN) / bounds.height),
+        MIN_ZOOM,
+        MAX_ZOOM
+    );
+    camera.x = bounds.x + bounds.width / 2;
+    camera.y = bounds.y + bounds.height / 2;
+}
+
+/**
+ * Return to the default view centered on the origin
+ */
+function resetView() {
+    camera = { x: 0, y: 0, zoom: 1 };
+}
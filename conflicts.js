@@ -0,0 +1,157 @@
+/**
+ * Anchor conflict detection
+ * After alignment, finds neighbors whose shared edges don't meet because the
+ * locked anchors disagree, highlights them, and relaxes free tiles on request.
+ * A relaxation runs a few passes per draw frame, so large tilings stay responsive
+ */
+
+// Residual offsets below this fraction of the edge length count as a shared edge
+const CONFLICT_TOLERANCE_RATIO = 0.01;
+
+// Conflicting edges from the last check
+let alignmentConflicts = [];
+
+// Time spent on relaxation passes per frame in milliseconds
+const RELAX_FRAME_BUDGET = 15;
+
+// Relaxation in progress, a createRelaxation state plus its history entry, or null
+let relaxation = null;
+
+/**
+ * Recheck the aligned tiling for conflicts and report them
+ * Only a completed alignment is checked; otherwise the conflicts are cleared
+ */
+function refreshAlignmentConflicts() {
+    if (!isAligned) {
+        alignmentConflicts = [];
+        return;
+    }
+
+    alignmentConflicts = findAlignmentConflicts(rhombPoints, rhombGraph, SCALE * CONFLICT_TOLERANCE_RATIO);
+    if (alignmentConflicts.length === 0) {
+        return;
+    }
+
+    for (const conflict of alignmentConflicts) {
+        const { x, y } = conflict.offset;
+        logDebug(`Conflict between rhombus ${conflict.index} and ${conflict.neighborIndex}: ` +
+            `residual offset (${x.toFixed(2)}, ${y.toFixed(2)})`);
+    }
+
+    const totalError = alignmentConflicts.reduce((sum, conflict) => sum + conflict.error, 0);
+    showPanelMessage(`${alignmentConflicts.length} conflicting edges between anchors, ` +
+        `total error ${totalError.toFixed(1)}`, true);
+}
+
+/**
+ * Start moving the free tiles to spread the anchor conflicts as evenly as possible
+ */
+function relaxConflicts() {
+    if (relaxation || isBlockedByPuzzle()) {
+        return;
+    }
+    if (!isAligned) {
+        showPanelMessage('Finish the alignment before relaxing', true);
+        return;
+    }
+
+    const entry = beginHistoryEntry('Relax alignment', null);
+    relaxation = { ...createRelaxation(rhombPoints), entry };
+}
+
+/**
+ * Run the relaxation passes that fit in this frame, finishing once the tiles stop moving
+ */
+function runRelaxationFrame() {
+    const start = performance.now();
+
+    do {
+        if (advanceRelaxation(rhombPoints, rhombGraph, relaxation)) {
+            stopRelaxation();
+            return;
+        }
+    } while (performance.now() - start < RELAX_FRAME_BUDGET);
+
+    showPanelMessage(`Relaxing: pass ${relaxation.passes} of at most ${MAX_RELAX_PASSES}, ` +
+        `largest move ${relaxation.largestMove.toFixed(3)}`, false);
+}
+
+/**
+ * End a running relaxation, keeping the passes so far as one history entry
+ * Any other change to the tiling stops it first, so the two stay separate entries
+ */
+function stopRelaxation() {
+    if (!relaxation) {
+        return;
+    }
+
+    const finished = relaxation;
+    const { passes, largestMove, entry } = finished;
+    relaxation = null;
+    commitHistoryEntry(entry);
+    refreshAlignedTiling();
+    logRelaxationResult(finished);
+
+    if (!isRelaxationConverged(finished)) {
+        showPanelMessage(`Stopped relaxing after ${passes} passes before the tiles settled; ` +
+            `the last pass moved one by ${largestMove.toFixed(3)}`, true);
+        return;
+    }
+
+    if (alignmentConflicts.length === 0) {
+        showPanelMessage('No conflicts left after relaxing', false);
+    }
+}
+
+/**
+ * Drop a running relaxation without recording it, as when the tiling is replaced
+ */
+function cancelRelaxation() {
+    relaxation = null;
+}
+
+/**
+ * Outline conflicting tiles and connect the edges that should meet
+ */
+function drawConflicts() {
+    if (alignmentConflicts.length === 0) {
+        return;
+    }
+
+    push();
+    noFill();
+
+    // Offending tiles
+    stroke(255, 152, 0);
+    strokeWeight(screenWeight(3));
+    const tiles = new Set();
+    for (const conflict of alignmentConflicts) {
+        tiles.add(conflict.index);
+        tiles.add(conflict.neighborIndex);
+    }
+    for (const index of tiles) {
+        beginShape();
+        for (const point of rhombPoints[index].points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    }
+
+    // The two edges of each conflict, joined by the residual offset
+    stroke(244, 67, 54);
+    strokeWeight(screenWeight(4));
+    for (const { edge, neighborEdge } of alignmentConflicts) {
+        if (!edge || !neighborEdge) {
+            continue;
+        }
+        line(edge.v1[0], edge.v1[1], edge.v2[0], edge.v2[1]);
+        line(neighborEdge.v1[0], neighborEdge.v1[1], neighborEdge.v2[0], neighborEdge.v2[1]);
+
+        strokeWeight(screenWeight(1));
+        line((edge.v1[0] + edge.v2[0]) / 2, (edge.v1[1] + edge.v2[1]) / 2,
+            (neighborEdge.v1[0] + neighborEdge.v2[0]) / 2, (neighborEdge.v1[1] + neighborEdge.v2[1]) / 2);
+        strokeWeight(screenWeight(4));
+    }
+
+    pop();
+}
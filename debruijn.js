@@ -0,0 +1,113 @@
+/**
+ * Exact tiling generator using de Bruijn's dual method
+ * Every mesh region of the multigrid is labelled with one integer K-index per
+ * family; projecting those indices with the family unit vectors gives the final
+ * tiling vertices directly, without any incremental alignment.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { familyAngle, getFamilyCount, logDebug } = require('./utils.js');
+}
+
+/**
+ * Unit vector of a grid family (normal to its lines)
+ * @param {number} k - Family index
+ * @param {number} [families] - Number of families, DEFAULT_FAMILIES when omitted
+ * @returns {Object} Unit vector {x, y}
+ */
+function familyUnitVector(k, families) {
+    const angle = familyAngle(k, families);
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+}
+
+/**
+ * Find the K-index of the mesh region containing a point for one family
+ * Lines of family k satisfy p · e_k = (n + gamma_k) * spacing, so the region
+ * between line n - 1 and line n has index n. Only lines -numLines..numLines
+ * exist, so everything beyond the outermost line shares one index.
+ * @param {number} x - Point x coordinate
+ * @param {number} y - Point y coordinate
+ * @param {number} k - Family index
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, families}
+ * @returns {number} Integer mesh index
+ */
+function findMeshIndex(x, y, k, params) {
+    const { gammas, numLines, spacing } = params;
+    const e = familyUnitVector(k, getFamilyCount(params));
+    const index = Math.ceil((x * e.x + y * e.y) / spacing - gammas[k]);
+    return Math.min(Math.max(index, -numLines), numLines + 1);
+}
+
+/**
+ * Project a set of K-indices to a tiling vertex
+ * @param {Array} indices - One integer index per family
+ * @param {number} scale - Rhombus edge length
+ * @returns {Array} Vertex [x, y]
+ */
+function projectMeshIndices(indices, scale) {
+    let x = 0;
+    let y = 0;
+
+    for (let k = 0; k < indices.length; k++) {
+        const e = familyUnitVector(k, indices.length);
+        x += indices[k] * e.x * scale;
+        y += indices[k] * e.y * scale;
+    }
+
+    return [x, y];
+}
+
+/**
+ * Calculate the exact vertices of the rhombus dual to an intersection
+ * The four mesh regions around the intersection only differ in the indices of
+ * the two crossing families, which take the values n and n + 1
+ * @param {Object} intersection - Intersection object with line1, line2, x, y properties
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale, families}
+ * @returns {Array} Four vertices [[x, y], ...] in cyclic order
+ */
+function findDualRhomb(intersection, params) {
+    const { line1, line2 } = intersection;
+
+    const indices = [];
+    for (let k = 0; k < getFamilyCount(params); k++) {
+        indices.push(findMeshIndex(intersection.x, intersection.y, k, params));
+    }
+
+    // Walk around the intersection: (0, 0), (1, 0), (1, 1), (0, 1)
+    const corners = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    return corners.map(([step1, step2]) => {
+        indices[line1.family] = line1.n + step1;
+        indices[line2.family] = line2.n + step2;
+        return projectMeshIndices(indices, params.scale);
+    });
+}
+
+/**
+ * Move every rhombus to its exact position in the dual tiling
+ * @param {Array} rhombs - Rhombi to move in place
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale, families}
+ */
+function applyDualTiling(rhombs, params) {
+    for (const rhomb of rhombs) {
+        const dualPoints = findDualRhomb(rhomb.intersection, params);
+
+        for (let i = 0; i < rhomb.points.length; i++) {
+            rhomb.points[i][0] = dualPoints[i][0];
+            rhomb.points[i][1] = dualPoints[i][1];
+        }
+        rhomb.aligned = true;
+    }
+
+    logDebug(`Placed ${rhombs.length} rhombuses with the dual method`);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        familyUnitVector,
+        findMeshIndex,
+        projectMeshIndices,
+        findDualRhomb,
+        applyDualTiling
+    };
+}
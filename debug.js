@@ -0,0 +1,210 @@
+/**
+ * Debug overlay
+ * Draws what the alignment works from on top of the tiling: the adjacency graph,
+ * split into half-edges colored by whether the neighbor lies forward or backward
+ * along the shared line, each rhombus's index and family pair, and tile fills by
+ * aligned/locked state. A box in the corner holds the counts and the latest
+ * alignment steps, which only reach the console at the debug log level.
+ */
+
+// Half-edge colors toward forward and backward neighbors
+const DEBUG_FORWARD_COLOR = [255, 0, 255];
+const DEBUG_BACKWARD_COLOR = [0, 172, 193];
+
+// Tile fills by state
+const DEBUG_STATE_FILLS = {
+    locked: [255, 152, 0, 120],
+    aligned: [76, 175, 80, 90],
+    free: [158, 158, 158, 60]
+};
+
+// Number of recent diagnostics listed on the canvas
+const MAX_DEBUG_MESSAGES = 6;
+
+// Whether the overlay and diagnostics box are drawn
+let isDebugOverlayVisible = false;
+
+// Most recent diagnostics, oldest first
+let debugMessages = [];
+
+/**
+ * Record a diagnostic for the on-canvas list and echo it to the console
+ * @param {string} message - Diagnostic text
+ * @param {string} level - Lowest log level that prints it, 'info' or 'debug'
+ */
+function reportDiagnostic(message, level = 'debug') {
+    debugMessages.push(message);
+    if (debugMessages.length > MAX_DEBUG_MESSAGES) {
+        debugMessages.shift();
+    }
+
+    if (level === 'info') {
+        console.log(message);
+    } else {
+        logDebug(message);
+    }
+}
+
+/**
+ * Forget the diagnostics of a previous tiling
+ */
+function clearDiagnostics() {
+    debugMessages = [];
+}
+
+/**
+ * Average of a rhombus's corners, which follows the rhombus as it moves
+ * @param {Object} rhomb - Rhombus with points
+ * @returns {Array} Center [x, y]
+ */
+function getRhombCentroid(rhomb) {
+    return rhomb.points.reduce((sum, p) => [sum[0] + p[0] / 4, sum[1] + p[1] / 4], [0, 0]);
+}
+
+/**
+ * Draw the overlay in tiling coordinates
+ */
+function drawDebugOverlay() {
+    if (!isDebugOverlayVisible) {
+        return;
+    }
+
+    drawTileStates();
+    drawGraph();
+    drawRhombLabels();
+}
+
+/**
+ * Fill each rhombus by state, and outline rhombi whose edges missed the grid lines' right angle
+ */
+function drawTileStates() {
+    push();
+    noStroke();
+    for (const rhomb of rhombPoints) {
+        const state = rhomb.locked ? 'locked' : rhomb.aligned ? 'aligned' : 'free';
+        fill(...DEBUG_STATE_FILLS[state]);
+        beginShape();
+        for (const point of rhomb.points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    }
+
+    noFill();
+    stroke(244, 67, 54);
+    strokeWeight(screenWeight(3));
+    for (const rhomb of rhombPoints) {
+        if (rhomb.perpendicular === false) {
+            beginShape();
+            for (const point of rhomb.points) {
+                vertex(point[0], point[1]);
+            }
+            endShape(CLOSE);
+        }
+    }
+    pop();
+}
+
+/**
+ * Draw the adjacency graph between the current rhombus centers
+ * Every edge is stored from both ends, so each end draws the half nearest to it in the
+ * color of its neighbor's direction
+ */
+function drawGraph() {
+    push();
+    strokeWeight(screenWeight(2));
+
+    rhombPoints.forEach((rhomb, i) => {
+        const center = getRhombCentroid(rhomb);
+        for (const { neighborIndex, direction } of rhombGraph.get(i) || []) {
+            const neighborCenter = getRhombCentroid(rhombPoints[neighborIndex]);
+            stroke(...(direction === 'forward' ? DEBUG_FORWARD_COLOR : DEBUG_BACKWARD_COLOR));
+            line(center[0], center[1], (center[0] + neighborCenter[0]) / 2, (center[1] + neighborCenter[1]) / 2);
+        }
+    });
+    pop();
+}
+
+/**
+ * Label each rhombus with its index and the families of its two grid lines
+ */
+function drawRhombLabels() {
+    push();
+    noStroke();
+    fill(0);
+    textAlign(CENTER, CENTER);
+    textSize(screenWeight(11));
+
+    const lineHeight = screenWeight(12);
+    rhombPoints.forEach((rhomb, i) => {
+        const [x, y] = getRhombCentroid(rhomb);
+        const { line1, line2 } = rhomb.intersection;
+        text(i, x, y - lineHeight / 2);
+        text(`${line1.family}·${line2.family}`, x, y + lineHeight / 2);
+    });
+    pop();
+}
+
+/**
+ * Count the edges of the adjacency graph
+ * @returns {number} Neighbor pairs, each counted once
+ */
+function countGraphEdges() {
+    let total = 0;
+    for (const neighbors of rhombGraph.values()) {
+        total += neighbors.length;
+    }
+    return total / 2;
+}
+
+/**
+ * Draw the counts, color legend and recent diagnostics in the bottom right corner
+ */
+function drawDebugPanel() {
+    if (!isDebugOverlayVisible) {
+        return;
+    }
+
+    const lines = [
+        `Rhombi: ${rhombPoints.length}   Graph edges: ${countGraphEdges()}`,
+        `Aligned: ${rhombPoints.filter(r => r.aligned).length}   ` +
+            `Locked: ${rhombPoints.filter(r => r.locked).length}`,
+        `Not perpendicular: ${rhombPoints.filter(r => r.perpendicular === false).length}`,
+        ...debugMessages
+    ];
+
+    const lineHeight = 20;
+    const boxWidth = 320;
+    const boxHeight = 12 + (lines.length + 1) * lineHeight + 8;
+    const x = width - boxWidth - 20;
+    const y = height - boxHeight - 20;
+
+    push();
+    noStroke();
+    fill(255, 230);
+    rect(x, y, boxWidth, boxHeight, 8);
+
+    textSize(14);
+    textAlign(LEFT, TOP);
+
+    // Legend
+    let legendX = x + 12;
+    for (const [label, color] of [
+        ['forward', DEBUG_FORWARD_COLOR],
+        ['backward', DEBUG_BACKWARD_COLOR],
+        ['locked', DEBUG_STATE_FILLS.locked],
+        ['aligned', DEBUG_STATE_FILLS.aligned]
+    ]) {
+        fill(color[0], color[1], color[2]);
+        rect(legendX, y + 14, 10, 10);
+        fill(0);
+        text(label, legendX + 14, y + 12);
+        legendX += textWidth(label) + 28;
+    }
+
+    lines.forEach((row, i) => {
+        fill(i < 3 ? 0 : 90);
+        text(row, x + 12, y + 12 + (i + 1) * lineHeight);
+    });
+    pop();
+}
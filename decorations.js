@@ -0,0 +1,203 @@
+/**
+ * Matching-rule decorations
+ * Places Conway arcs and Ammann bars on each rhombus. Their orientation comes
+ * from de Bruijn's vertex index: the corners of every rhombus have index sums
+ * j, j + 1, j + 1, j + 2, and exactly one of the two opposite corners j and
+ * j + 2 has an extreme index. That "outer" corner plays the role of the
+ * single-arrow corner in Penrose's matching rules. The index only takes four
+ * values when the gammas of a pentagrid sum to an integer, so other grids have
+ * no decorations.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { familyUnitVector, findMeshIndex } = require('./debruijn.js');
+    var { getFamilyCount } = require('./utils.js');
+    globalThis.GOLDEN_RATIO = require('./utils.js').GOLDEN_RATIO;
+}
+
+// Largest distance from an integer that still counts as an integer gamma sum
+const GAMMA_SUM_TOLERANCE = 1e-9;
+
+// Conway arc radii as fractions of the edge length, around the outer and inner corners.
+// Outer arcs meet outer arcs on every edge, while the inner arcs of thick and thin
+// rhombi meet from opposite ends of an edge, so their radii sum to 1
+const CONWAY_ARC_RADII = {
+    thick: { outer: 1 / GOLDEN_RATIO ** 3, inner: 1 - 1 / GOLDEN_RATIO ** 3 },
+    thin: { outer: 1 / GOLDEN_RATIO ** 3, inner: 1 / GOLDEN_RATIO ** 3 }
+};
+
+// Ammann bar offsets as fractions of the edge length, indexed by the angle between a
+// family's unit vector and the outer-to-inner diagonal in steps of 36°. A bar of
+// family k lies on the line p · e_k = outer · e_k + offset, so every rhombus carries
+// one bar per family and the bars join into five Fibonacci grids of straight lines
+const AMMANN_BAR_OFFSETS = {
+    thick: [
+        (GOLDEN_RATIO + 1) / 4,
+        (GOLDEN_RATIO + 3) / 4,
+        (GOLDEN_RATIO + 1) / 4,
+        -(GOLDEN_RATIO + 1) / 4,
+        -(GOLDEN_RATIO + 3) / 4,
+        -(GOLDEN_RATIO + 1) / 4
+    ],
+    thin: [
+        3 / (4 * GOLDEN_RATIO),
+        (GOLDEN_RATIO + 1) / 4,
+        -(GOLDEN_RATIO + 1) / 4,
+        (GOLDEN_RATIO + 1) / 4,
+        -(GOLDEN_RATIO + 1) / 4,
+        -3 / (4 * GOLDEN_RATIO)
+    ]
+};
+
+/**
+ * Find the outer corner of a rhombus
+ * The dual corners (0, 0) and (1, 1) of a rhombus lie behind and ahead of its center along
+ * e1 + e2 of its two families, and the index sum of (0, 0) decides which of them is outer.
+ * Matching by direction works whatever order the rhombus stores its points in
+ * @param {Object} rhomb - Rhombus with points and intersection
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, families}
+ * @returns {number|null} Index into rhomb.points, or null if the grid isn't a pentagrid
+ *   whose gammas sum to an integer
+ */
+function findOuterVertex(rhomb, params) {
+    if (getFamilyCount(params) !== 5) {
+        return null;
+    }
+
+    const gammaSum = params.gammas.reduce((sum, gamma) => sum + gamma, 0);
+    const offset = Math.round(gammaSum);
+    if (Math.abs(gammaSum - offset) > GAMMA_SUM_TOLERANCE) {
+        return null;
+    }
+
+    // Rhombi built by inflation or deflation have no grid to index, so they carry their outer corner
+    if (rhomb.outerVertex !== undefined) {
+        return rhomb.outerVertex;
+    }
+
+    const { line1, line2, x, y } = rhomb.intersection;
+    let indexSum = 0;
+    for (let k = 0; k < 5; k++) {
+        if (k === line1.family) {
+            indexSum += line1.n;
+        } else if (k === line2.family) {
+            indexSum += line2.n;
+        } else {
+            indexSum += findMeshIndex(x, y, k, params);
+        }
+    }
+
+    // Index sums run from 1 - offset to 4 - offset, so the lowest corner is outer only at the bottom
+    const e1 = familyUnitVector(line1.family);
+    const e2 = familyUnitVector(line2.family);
+    const sign = indexSum === 1 - offset ? -1 : 1;
+    const direction = { x: sign * (e1.x + e2.x), y: sign * (e1.y + e2.y) };
+
+    const center = rhomb.points.reduce((sum, p) => [sum[0] + p[0] / 4, sum[1] + p[1] / 4], [0, 0]);
+    let outer = 0;
+    let farthest = -Infinity;
+    rhomb.points.forEach((p, i) => {
+        const reach = (p[0] - center[0]) * direction.x + (p[1] - center[1]) * direction.y;
+        if (reach > farthest) {
+            farthest = reach;
+            outer = i;
+        }
+    });
+
+    return outer;
+}
+
+/**
+ * Calculate the Conway arcs of a rhombus
+ * Thick rhombi get arcs around both acute corners, thin rhombi around both obtuse corners
+ * @param {Object} rhomb - Rhombus with points, intersection and type
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing}
+ * @returns {Array} Arcs {kind, center, radius, start, stop}, where kind is 'outer' or 'inner' and the
+ *   angles run clockwise on screen from start to stop; empty if the rhombus has no orientation
+ */
+function getConwayArcs(rhomb, params) {
+    const outer = findOuterVertex(rhomb, params);
+    if (outer === null) {
+        return [];
+    }
+
+    const points = rhomb.points;
+    const edgeLength = Math.hypot(points[1][0] - points[0][0], points[1][1] - points[0][1]);
+    const radii = CONWAY_ARC_RADII[rhomb.type];
+
+    return [['outer', outer], ['inner', (outer + 2) % 4]].map(([kind, corner]) => {
+        const center = points[corner];
+        const next = points[(corner + 1) % 4];
+        const previous = points[(corner + 3) % 4];
+
+        let start = Math.atan2(next[1] - center[1], next[0] - center[0]);
+        let stop = Math.atan2(previous[1] - center[1], previous[0] - center[0]);
+
+        // Sweep the interior angle, which is always below 180°
+        if ((stop - start + 2 * Math.PI) % (2 * Math.PI) > Math.PI) {
+            [start, stop] = [stop, start];
+        }
+
+        return { kind, center, radius: radii[kind] * edgeLength, start, stop };
+    });
+}
+
+/**
+ * Calculate the Ammann bars of a rhombus, one per grid family
+ * @param {Object} rhomb - Rhombus with points, intersection and type
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing}
+ * @returns {Array} Bars {family, v1, v2}; empty if the rhombus has no orientation
+ */
+function getAmmannBars(rhomb, params) {
+    const outer = findOuterVertex(rhomb, params);
+    if (outer === null) {
+        return [];
+    }
+
+    const points = rhomb.points;
+    const origin = points[outer];
+    const opposite = points[(outer + 2) % 4];
+    const edgeLength = Math.hypot(points[1][0] - points[0][0], points[1][1] - points[0][1]);
+    const diagonalLength = Math.hypot(opposite[0] - origin[0], opposite[1] - origin[1]);
+    const diagonal = {
+        x: (opposite[0] - origin[0]) / diagonalLength,
+        y: (opposite[1] - origin[1]) / diagonalLength
+    };
+
+    const bars = [];
+    for (let k = 0; k < 5; k++) {
+        const e = familyUnitVector(k);
+        const cos = Math.max(-1, Math.min(1, e.x * diagonal.x + e.y * diagonal.y));
+        const step = Math.round(Math.acos(cos) / (Math.PI / 5));
+        const level = origin[0] * e.x + origin[1] * e.y + AMMANN_BAR_OFFSETS[rhomb.type][step] * edgeLength;
+
+        // Clip the line p · e = level to the rhombus
+        const crossings = [];
+        for (let i = 0; i < 4; i++) {
+            const p = points[i];
+            const q = points[(i + 1) % 4];
+            const fp = p[0] * e.x + p[1] * e.y - level;
+            const fq = q[0] * e.x + q[1] * e.y - level;
+            if ((fp < 0) !== (fq < 0)) {
+                const t = fp / (fp - fq);
+                crossings.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])]);
+            }
+        }
+
+        if (crossings.length === 2) {
+            bars.push({ family: k, v1: crossings[0], v2: crossings[1] });
+        }
+    }
+
+    return bars;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONWAY_ARC_RADII,
+        AMMANN_BAR_OFFSETS,
+        findOuterVertex,
+        getConwayArcs,
+        getAmmannBars
+    };
+}
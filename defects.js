@@ -0,0 +1,112 @@
+/**
+ * Tiling defects
+ * Checks on request whether the rhombi form a valid edge-to-edge tiling, and
+ * highlights the overlaps, gaps and mismatched edges until the check is cleared
+ * or the tiling changes. The check is too slow for large tilings to rerun after
+ * every move, so it only runs when asked for.
+ */
+
+// Corners and edges closer than this fraction of the edge length count as meeting
+const INTEGRITY_TOLERANCE_RATIO = 0.01;
+
+// Report from checkTilingIntegrity, or null while no check is shown
+let integrityReport = null;
+
+/**
+ * Describe the defects of an integrity report
+ * @param {Object} report - Report from checkTilingIntegrity
+ * @returns {string} One-line summary
+ */
+function describeIntegrityReport(report) {
+    if (report.valid) {
+        return 'Valid edge-to-edge tiling';
+    }
+
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    return `${plural(report.overlaps.length, 'overlap')} (area ${report.overlapArea.toFixed(1)}), ` +
+        `${plural(report.gaps.length, 'gap')} (area ${report.gapArea.toFixed(1)}), ` +
+        `${plural(report.mismatchedEdges.length, 'mismatched edge')}`;
+}
+
+/**
+ * Check the current tiling and show its defects
+ */
+function checkIntegrity() {
+    integrityReport = checkTilingIntegrity(rhombPoints, rhombGraph, SCALE * INTEGRITY_TOLERANCE_RATIO);
+
+    // A scattered tiling has thousands of defects, so only the debug level lists them
+    for (const { index, otherIndex, area } of integrityReport.overlaps) {
+        logDebug(`Overlap between rhombus ${index} and ${otherIndex}: area ${area.toFixed(2)}`);
+    }
+    for (const { polygon, area } of integrityReport.gaps) {
+        logDebug(`Gap with ${polygon.length} corners: uncovered area ${area.toFixed(2)}`);
+    }
+    for (const { index, neighborIndex, reason, error } of integrityReport.mismatchedEdges) {
+        logDebug(`Mismatched edge between rhombus ${index} and ${neighborIndex}: ` +
+            (reason === 'missing' ? 'no edge on the shared line' : `residual offset ${error.toFixed(2)}`));
+    }
+
+    const summary = describeIntegrityReport(integrityReport);
+    console.log(`Integrity check: ${summary}`);
+    showPanelMessage(summary, !integrityReport.valid);
+}
+
+/**
+ * Stop showing the defects, as when the rhombi change and the report no longer fits them
+ */
+function clearIntegrityReport() {
+    integrityReport = null;
+}
+
+/**
+ * Fill the overlaps and gaps and mark the mismatched edges, in tiling coordinates
+ */
+function drawIntegrityDefects() {
+    if (!integrityReport) {
+        return;
+    }
+
+    const drawPolygon = points => {
+        beginShape();
+        for (const point of points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    };
+
+    push();
+
+    // Overlapping regions
+    stroke(211, 47, 47);
+    strokeWeight(screenWeight(1));
+    fill(244, 67, 54, 160);
+    for (const { polygon } of integrityReport.overlaps) {
+        drawPolygon(polygon);
+    }
+
+    // Uncovered holes
+    stroke(74, 20, 140);
+    strokeWeight(screenWeight(2));
+    fill(156, 39, 176, 120);
+    for (const { polygon } of integrityReport.gaps) {
+        drawPolygon(polygon);
+    }
+
+    // Edges that should meet; both tiles are outlined where an edge is missing
+    noFill();
+    stroke(255, 152, 0);
+    for (const { index, neighborIndex, reason, edge, neighborEdge } of integrityReport.mismatchedEdges) {
+        if (reason === 'missing') {
+            strokeWeight(screenWeight(3));
+            drawPolygon(rhombPoints[index].points);
+            drawPolygon(rhombPoints[neighborIndex].points);
+            continue;
+        }
+
+        strokeWeight(screenWeight(4));
+        line(edge.v1[0], edge.v1[1], edge.v2[0], edge.v2[1]);
+        line(neighborEdge.v1[0], neighborEdge.v1[1], neighborEdge.v2[0], neighborEdge.v2[1]);
+    }
+
+    pop();
+}
@@ -0,0 +1,383 @@
+/**
+ * Binary encoders for exported recordings
+ * Uncompressed ZIP archives for PNG frame sequences and animated GIFs for the
+ * alignment animation. Pure byte-level code with no browser or p5 dependency,
+ * so it runs in the browser and under Node.
+ */
+
+// Levels of red, green and blue in the fixed GIF palette; 6 × 7 × 6 = 252 of its 256 colors
+const GIF_PALETTE_LEVELS = [6, 7, 6];
+
+// Largest LZW code in a GIF image
+const GIF_MAX_CODE = 4095;
+
+// Bytes per GIF data sub-block
+const GIF_BLOCK_SIZE = 255;
+
+// Most entries and bytes a ZIP archive without the ZIP64 extension can describe
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+
+// CRC-32 lookup table for the ZIP checksums
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Growable little-endian byte buffer
+ * @param {number} [capacity] - Initial size in bytes; a writer that never outgrows it is never copied
+ * @returns {Object} Writer {byte, bytes, uint16, uint32, ascii, toUint8Array, length}
+ */
+function createByteWriter(capacity = 1024) {
+    let buffer = new Uint8Array(capacity);
+    let length = 0;
+
+    function reserve(extra) {
+        if (length + extra > buffer.length) {
+            const grown = new Uint8Array(Math.max(buffer.length * 2, length + extra));
+            grown.set(buffer.subarray(0, length));
+            buffer = grown;
+        }
+    }
+
+    const writer = {
+        byte(value) {
+            reserve(1);
+            buffer[length++] = value & 0xFF;
+        },
+        bytes(values) {
+            reserve(values.length);
+            buffer.set(values, length);
+            length += values.length;
+        },
+        uint16(value) {
+            writer.byte(value);
+            writer.byte(value >>> 8);
+        },
+        uint32(value) {
+            writer.uint16(value & 0xFFFF);
+            writer.uint16(value >>> 16);
+        },
+        ascii(text) {
+            for (let i = 0; i < text.length; i++) {
+                writer.byte(text.charCodeAt(i));
+            }
+        },
+        toUint8Array() {
+            return length === buffer.length ? buffer : buffer.slice(0, length);
+        },
+        get length() {
+            return length;
+        }
+    };
+    return writer;
+}
+
+/**
+ * Calculate the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack a date into the MS-DOS time and date fields of a ZIP entry
+ * @param {Date} date - Modification date, from 1980 on
+ * @returns {Object} Fields {time, date}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive that stores its files uncompressed
+ * PNG frames are already compressed, so storing them costs little and keeps the archive simple.
+ * The archive is sized up front, so it is written into a single buffer
+ * @param {Array} files - Entries {name, data}, with data as a Uint8Array
+ * @param {Date} date - Modification date of every entry
+ * @returns {Uint8Array} ZIP file bytes
+ * @throws {Error} If there are more than ZIP_MAX_ENTRIES files or the archive would exceed ZIP_MAX_SIZE bytes
+ */
+function createZip(files, date = new Date()) {
+    if (files.length > ZIP_MAX_ENTRIES) {
+        throw new Error(`A ZIP archive holds at most ${ZIP_MAX_ENTRIES} files, got ${files.length}`);
+    }
+
+    // Local header and data plus central directory header of each file, and the end record
+    const size = files.reduce((sum, { name, data }) => sum + 30 + 46 + 2 * name.length + data.length, 22);
+    if (size > ZIP_MAX_SIZE) {
+        throw new Error(`A ZIP archive holds at most ${ZIP_MAX_SIZE} bytes, got ${size}`);
+    }
+
+    const writer = createByteWriter(size);
+    const dos = toDosDateTime(date);
+    const entries = [];
+
+    for (const { name, data } of files) {
+        const entry = { name, size: data.length, crc: crc32(data), offset: writer.length };
+        entries.push(entry);
+
+        // Local file header
+        writer.uint32(0x04034B50);
+        writer.uint16(20);
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint16(dos.time);
+        writer.uint16(dos.date);
+        writer.uint32(entry.crc);
+        writer.uint32(entry.size);
+        writer.uint32(entry.size);
+        writer.uint16(name.length);
+        writer.uint16(0);
+        writer.ascii(name);
+        writer.bytes(data);
+    }
+
+    const directoryOffset = writer.length;
+    for (const entry of entries) {
+        // Central directory header
+        writer.uint32(0x02014B50);
+        writer.uint16(20);
+        writer.uint16(20);
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint16(dos.time);
+        writer.uint16(dos.date);
+        writer.uint32(entry.crc);
+        writer.uint32(entry.size);
+        writer.uint32(entry.size);
+        writer.uint16(entry.name.length);
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint32(0);
+        writer.uint32(entry.offset);
+        writer.ascii(entry.name);
+    }
+    const directorySize = writer.length - directoryOffset;
+
+    // End of central directory record
+    writer.uint32(0x06054B50);
+    writer.uint16(0);
+    writer.uint16(0);
+    writer.uint16(entries.length);
+    writer.uint16(entries.length);
+    writer.uint32(directorySize);
+    writer.uint32(directoryOffset);
+    writer.uint16(0);
+
+    return writer.toUint8Array();
+}
+
+/**
+ * Build the fixed GIF palette, an even spread of GIF_PALETTE_LEVELS per channel
+ * @returns {Uint8Array} 256 RGB triples
+ */
+function createGifPalette() {
+    const [reds, greens, blues] = GIF_PALETTE_LEVELS;
+    const palette = new Uint8Array(256 * 3);
+    let i = 0;
+    for (let r = 0; r < reds; r++) {
+        for (let g = 0; g < greens; g++) {
+            for (let b = 0; b < blues; b++) {
+                palette[i++] = Math.round(r * 255 / (reds - 1));
+                palette[i++] = Math.round(g * 255 / (greens - 1));
+                palette[i++] = Math.round(b * 255 / (blues - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+/**
+ * Map RGBA pixels to the closest colors of the fixed palette
+ * Transparent pixels are treated as the white canvas background
+ * @param {Uint8ClampedArray|Uint8Array} rgba - Pixels, 4 bytes each
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function quantizeToGifPalette(rgba) {
+    const [reds, greens, blues] = GIF_PALETTE_LEVELS;
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < indices.length; i++) {
+        const alpha = rgba[i * 4 + 3] / 255;
+        const level = (channel, levels) => Math.round((rgba[i * 4 + channel] * alpha + 255 * (1 - alpha)) * (levels - 1) / 255);
+        indices[i] = (level(0, reds) * greens + level(1, greens)) * blues + level(2, blues);
+    }
+    return indices;
+}
+
+/**
+ * Compress palette indices with GIF's variable-length LZW
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size, 8 for a 256-color palette
+ * @returns {Uint8Array} Code stream, before splitting into sub-blocks
+ */
+function compressGifLzw(indices, minCodeSize) {
+    const writer = createByteWriter();
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bits = 0;
+    let bitCount = 0;
+
+    function emit(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            writer.byte(bits);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    emit(clearCode);
+    if (indices.length === 0) {
+        emit(endCode);
+    } else {
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode > GIF_MAX_CODE) {
+                // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) {
+                    codeSize++;
+                }
+                table.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        emit(prefix);
+        emit(endCode);
+    }
+
+    if (bitCount > 0) {
+        writer.byte(bits);
+    }
+    return writer.toUint8Array();
+}
+
+/**
+ * Start an animated GIF that loops forever, with frames added one at a time
+ * Frames are compressed as they arrive, so a long recording never holds its raw pixels
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {number} delay - Time each frame shows, in hundredths of a second
+ * @returns {Object} Encoder {addFrame(rgba), finish(), frameCount, length}, where length counts the bytes written so far
+ */
+function createGifEncoder(width, height, delay) {
+    const writer = createByteWriter();
+    let frameCount = 0;
+
+    // Header and logical screen with a 256-color global palette
+    writer.ascii('GIF89a');
+    writer.uint16(width);
+    writer.uint16(height);
+    writer.byte(0xF7);
+    writer.byte(0);
+    writer.byte(0);
+    writer.bytes(createGifPalette());
+
+    // Netscape extension for endless looping
+    writer.bytes([0x21, 0xFF, 0x0B]);
+    writer.ascii('NETSCAPE2.0');
+    writer.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    return {
+        /**
+         * Append a frame
+         * @param {Uint8ClampedArray|Uint8Array} rgba - width × height pixels, 4 bytes each
+         */
+        addFrame(rgba) {
+            if (rgba.length !== width * height * 4) {
+                throw new Error(`Expected ${width}×${height} pixels, got ${rgba.length / 4}`);
+            }
+
+            // Graphic control extension: frame delay, each frame replacing the last
+            writer.bytes([0x21, 0xF9, 0x04, 0x04]);
+            writer.uint16(delay);
+            writer.bytes([0x00, 0x00]);
+
+            // Image descriptor covering the whole screen, using the global palette
+            writer.byte(0x2C);
+            writer.uint16(0);
+            writer.uint16(0);
+            writer.uint16(width);
+            writer.uint16(height);
+            writer.byte(0);
+
+            const data = compressGifLzw(quantizeToGifPalette(rgba), 8);
+            writer.byte(8);
+            for (let i = 0; i < data.length; i += GIF_BLOCK_SIZE) {
+                const block = data.subarray(i, i + GIF_BLOCK_SIZE);
+                writer.byte(block.length);
+                writer.bytes(block);
+            }
+            writer.byte(0);
+            frameCount++;
+        },
+
+        /**
+         * Close the file
+         * @returns {Uint8Array} GIF file bytes
+         */
+        finish() {
+            writer.byte(0x3B);
+            return writer.toUint8Array();
+        },
+
+        get frameCount() {
+            return frameCount;
+        },
+
+        get length() {
+            return writer.length;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GIF_PALETTE_LEVELS,
+        ZIP_MAX_ENTRIES,
+        ZIP_MAX_SIZE,
+        crc32,
+        createZip,
+        createGifPalette,
+        quantizeToGifPalette,
+        compressGifLzw,
+        createGifEncoder
+    };
+}
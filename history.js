@@ -0,0 +1,247 @@
+/**
+ * Undo/redo history
+ * Records tile moves, lock changes, alignment steps and resets. Each entry keeps
+ * the before/after state of only the rhombi it touched, plus the alignment state.
+ * Alignment steps only keep the ends of the queue they changed, so a long
+ * alignment doesn't hold one copy of the queue per step.
+ */
+
+// Oldest entries are dropped once the stacks hold about this many stored numbers
+const MAX_HISTORY_VALUES = 4000000;
+
+// Numbers kept per captured rhombus: four corners plus index and flags
+const VALUES_PER_RHOMB_STATE = 12;
+
+// History stacks
+let undoStack = [];
+let redoStack = [];
+
+// Stored numbers across both stacks, from estimateEntrySize
+let historySize = 0;
+
+/**
+ * Copy the points and flags of some rhombi
+ * @param {Array|null} indices - Rhombus indices, or null for all rhombi
+ * @returns {Array} Array of {index, points, aligned, locked, illegal}
+ */
+function captureRhombStates(indices) {
+    const targets = indices || rhombPoints.map((rhomb, index) => index);
+    return targets.map(index => {
+        const rhomb = rhombPoints[index];
+        return {
+            index,
+            points: rhomb.points.map(p => [p[0], p[1]]),
+            aligned: rhomb.aligned,
+            locked: rhomb.locked,
+            illegal: Boolean(rhomb.illegal)
+        };
+    });
+}
+
+/**
+ * Write captured states back into the rhombi
+ * @param {Array} states - Array of {index, points, aligned, locked, illegal}
+ */
+function restoreRhombStates(states) {
+    for (const state of states) {
+        const rhomb = rhombPoints[state.index];
+        for (let i = 0; i < rhomb.points.length; i++) {
+            rhomb.points[i][0] = state.points[i][0];
+            rhomb.points[i][1] = state.points[i][1];
+        }
+        rhomb.aligned = state.aligned;
+        rhomb.locked = state.locked;
+        rhomb.illegal = state.illegal;
+    }
+}
+
+/**
+ * Copy the progressive alignment state
+ * @param {boolean} [includeQueue] - False for an alignment step, which records its queue change instead
+ * @returns {Object} Alignment state {queue, isAligning, isAligned, isAlignmentPaused}, where queue
+ *   is null if it wasn't copied
+ */
+function captureAlignmentState(includeQueue = true) {
+    return {
+        queue: includeQueue ? [...alignmentQueue] : null,
+        isAligning,
+        isAligned,
+        isAlignmentPaused
+    };
+}
+
+/**
+ * Restore the progressive alignment state
+ * An alignment that was running is left paused so it doesn't immediately overwrite the redo stack
+ * @param {Object} state - Alignment state from captureAlignmentState
+ */
+function restoreAlignmentState(state) {
+    if (state.queue) {
+        alignmentQueue = [...state.queue];
+    }
+    isAligned = state.isAligned;
+    isAligning = false;
+    isAlignmentPaused = state.isAligning || state.isAlignmentPaused;
+    updateAlignButton();
+}
+
+/**
+ * Describe how one alignment step changed the queue
+ * A step takes its rhombus off the front, puts it back once for every neighbor still
+ * to align, and appends the rhombus it aligned
+ * @param {Object} step - Step from stepAlignmentQueue
+ * @param {number} lengthBefore - Queue length before the step
+ * @returns {Object} Queue change {startIndex, front, back} with the indices added at each end
+ */
+function describeQueueStep(step, lengthBefore) {
+    const backCount = step.neighborIndex === null ? 0 : 1;
+    const frontCount = alignmentQueue.length - (lengthBefore - 1) - backCount;
+
+    return {
+        startIndex: step.startIndex,
+        front: alignmentQueue.slice(0, frontCount),
+        back: alignmentQueue.slice(alignmentQueue.length - backCount)
+    };
+}
+
+/**
+ * Undo or redo the queue change of an alignment step
+ * @param {Object} queueStep - Queue change from describeQueueStep
+ * @param {boolean} forward - True to redo the step, false to undo it
+ */
+function replayQueueStep(queueStep, forward) {
+    const { startIndex, front, back } = queueStep;
+
+    if (forward) {
+        alignmentQueue.shift();
+        alignmentQueue.unshift(...front);
+        alignmentQueue.push(...back);
+    } else {
+        alignmentQueue.splice(0, front.length);
+        alignmentQueue.splice(alignmentQueue.length - back.length, back.length);
+        alignmentQueue.unshift(startIndex);
+    }
+}
+
+/**
+ * Estimate how many numbers a history entry keeps alive
+ * @param {Object} entry - Committed history entry
+ * @returns {number} Stored numbers
+ */
+function estimateEntrySize(entry) {
+    const rhombStates = entry.before.length + entry.after.length;
+    const queues = [entry.alignmentBefore.queue, entry.alignmentAfter.queue]
+        .reduce((sum, queue) => sum + (queue ? queue.length : 0), 0);
+    const queueStep = entry.queueStep ? entry.queueStep.front.length + entry.queueStep.back.length + 1 : 0;
+
+    return rhombStates * VALUES_PER_RHOMB_STATE + queues + queueStep;
+}
+
+/**
+ * Start a history entry by capturing the state before a change
+ * A relaxation still running is recorded first, as its own entry
+ * @param {string} label - Description of the change
+ * @param {Array|null} indices - Rhombus indices the change touches, or null for all rhombi
+ * @param {string} [kind] - 'alignmentStep' for one step of the alignment queue, which must set
+ *   entry.queueStep before it is committed, or 'change' for anything else
+ * @returns {Object} Pending entry to pass to commitHistoryEntry
+ */
+function beginHistoryEntry(label, indices, kind = 'change') {
+    stopRelaxation();
+
+    return {
+        label,
+        kind,
+        indices,
+        queueStep: null,
+        before: captureRhombStates(indices),
+        alignmentBefore: captureAlignmentState(kind !== 'alignmentStep')
+    };
+}
+
+/**
+ * Finish a history entry by capturing the state after the change
+ * Any new change clears the redo stack, and the oldest entries are dropped to
+ * keep the history within MAX_HISTORY_VALUES
+ * @param {Object} entry - Pending entry from beginHistoryEntry
+ */
+function commitHistoryEntry(entry) {
+    entry.after = captureRhombStates(entry.indices);
+    entry.alignmentAfter = captureAlignmentState(entry.kind !== 'alignmentStep');
+    entry.size = estimateEntrySize(entry);
+
+    historySize -= redoStack.reduce((sum, dropped) => sum + dropped.size, 0);
+    redoStack = [];
+
+    undoStack.push(entry);
+    historySize += entry.size;
+    while (historySize > MAX_HISTORY_VALUES && undoStack.length > 1) {
+        historySize -= undoStack.shift().size;
+    }
+}
+
+/**
+ * Record a change as a single history entry
+ * @param {string} label - Description of the change
+ * @param {Array|null} indices - Rhombus indices the change touches, or null for all rhombi
+ * @param {Function} change - Function that performs the change
+ */
+function recordHistory(label, indices, change) {
+    const entry = beginHistoryEntry(label, indices);
+    change();
+    commitHistoryEntry(entry);
+}
+
+/**
+ * Undo the most recent change
+ */
+function undo() {
+    stopRelaxation();
+    const entry = undoStack.pop();
+    if (!entry) {
+        return;
+    }
+
+    restoreRhombStates(entry.before);
+    restoreAlignmentState(entry.alignmentBefore);
+    if (entry.queueStep) {
+        replayQueueStep(entry.queueStep, false);
+    }
+    redoStack.push(entry);
+
+    refreshAlignedTiling();
+
+    reportDiagnostic(`Undo: ${entry.label}`);
+}
+
+/**
+ * Redo the most recently undone change
+ */
+function redo() {
+    stopRelaxation();
+    const entry = redoStack.pop();
+    if (!entry) {
+        return;
+    }
+
+    restoreRhombStates(entry.after);
+    restoreAlignmentState(entry.alignmentAfter);
+    if (entry.queueStep) {
+        replayQueueStep(entry.queueStep, true);
+    }
+    undoStack.push(entry);
+
+    refreshAlignedTiling();
+
+    reportDiagnostic(`Redo: ${entry.label}`);
+}
+
+/**
+ * Drop all history, e.g. when the rhombi are regenerated
+ */
+function clearHistory() {
+    cancelRelaxation();
+    undoStack = [];
+    redoStack = [];
+    historySize = 0;
+}
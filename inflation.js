@@ -0,0 +1,419 @@
+/**
+ * Inflation and deflation of an aligned tiling
+ * Deflation cuts each Robinson triangle into two or three triangles φ times
+ * smaller and pairs them back into rhombi; inflation runs the same cuts
+ * backwards, merging every complete set of small triangles into its parent.
+ * The cuts follow the outer corner of each rhombus, so they need the same
+ * matching-rule orientation as the decorations. Both operations rescale the
+ * result to the original edge length, and since the new rhombi have no grid,
+ * each family's ribbons of rhombi joined through that family's edges stand in
+ * for its grid lines when the adjacency graph is rebuilt.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { findRhomb, buildRhombGraph, createGridLine, familyAngle, getFamilyCount, getSignedArea, createVertexMerger } = require('./utils.js');
+    globalThis.GOLDEN_RATIO = require('./utils.js').GOLDEN_RATIO;
+    var { decomposeToRobinsonTriangles } = require('./robinson.js');
+    var { traceBoundaryLoops } = require('./integrity.js');
+}
+
+// Vertices closer than this fraction of the edge length are merged when pairing triangles
+const SUBSTITUTION_TOLERANCE_RATIO = 0.01;
+
+/**
+ * Point a fraction of the way from one point to another
+ * @param {Array} p - Start point [x, y]
+ * @param {Array} q - End point [x, y]
+ * @param {number} t - Fraction, which may exceed 1 to extrapolate past q
+ * @returns {Array} Point [x, y]
+ */
+function lerpPoint(p, q, t) {
+    return [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+}
+
+/**
+ * Cut a Robinson triangle into the triangles of the next smaller generation
+ * @param {Object} triangle - Triangle {type, points: [apex, inner, outer]}
+ * @returns {Array} Two triangles for an acute triangle, three for an obtuse one, in the same form
+ */
+function deflateTriangle(triangle) {
+    const [apex, inner, outer] = triangle.points;
+    const t = 1 / GOLDEN_RATIO;
+
+    if (triangle.type === 'acute') {
+        const p = lerpPoint(apex, inner, t);
+        return [
+            { type: 'acute', points: [outer, p, inner] },
+            { type: 'obtuse', points: [p, outer, apex] }
+        ];
+    }
+
+    const q = lerpPoint(inner, apex, t);
+    const r = lerpPoint(inner, outer, t);
+    return [
+        { type: 'obtuse', points: [r, outer, apex] },
+        { type: 'obtuse', points: [q, r, inner] },
+        { type: 'acute', points: [r, q, apex] }
+    ];
+}
+
+/**
+ * Merge triangles into the triangles they were cut from by deflateTriangle
+ * A parent is only formed when all of its children are present, and each
+ * child is used at most once
+ * @param {Array} triangles - Triangles {type, points: [apex, inner, outer]}
+ * @param {number} tolerance - Distance below which two points count as the same vertex
+ * @returns {Array} Parent triangles, φ times larger
+ */
+function inflateTriangles(triangles, tolerance) {
+    // Corners of the would-be parents' children are only looked up, so they can't pose as vertices
+    const { findVertex } = createVertexMerger(tolerance);
+    triangles.forEach(triangle => triangle.points.forEach(p => findVertex(p)));
+    const triangleKey = triangle => [triangle.type, ...triangle.points.map(p => findVertex(p, false))].join('|');
+
+    const available = new Map(triangles.map(triangle => [triangleKey(triangle), triangle]));
+    const parents = [];
+
+    // Claim a parent if every child deflateTriangle would cut from it is still unused
+    const tryParent = parent => {
+        const keys = deflateTriangle(parent).map(triangleKey);
+        if (keys.every(key => available.has(key))) {
+            keys.forEach(key => available.delete(key));
+            parents.push(parent);
+        }
+    };
+
+    // Obtuse parents first, since their acute child could also pass for the child of an acute parent
+    for (const triangle of triangles) {
+        if (triangle.type !== 'acute' || !available.has(triangleKey(triangle))) {
+            continue;
+        }
+        const [r, q, apex] = triangle.points;
+        const inner = lerpPoint(apex, q, GOLDEN_RATIO ** 2);
+        tryParent({ type: 'obtuse', points: [apex, inner, lerpPoint(inner, r, GOLDEN_RATIO)] });
+    }
+
+    for (const triangle of triangles) {
+        if (triangle.type !== 'obtuse' || !available.has(triangleKey(triangle))) {
+            continue;
+        }
+        const [p, outer, apex] = triangle.points;
+        tryParent({ type: 'acute', points: [apex, lerpPoint(apex, p, GOLDEN_RATIO), outer] });
+    }
+
+    return parents;
+}
+
+/**
+ * Pair mirror-image triangles that share their base into rhombi
+ * @param {Array} triangles - Triangles {type, points: [apex, inner, outer]}
+ * @param {number} tolerance - Distance below which two points count as the same vertex
+ * @returns {Array} Rhombus shapes {type, points: [inner, apex, outer, apex]}; triangles without a
+ *   partner are left out
+ */
+function pairTrianglesIntoRhombi(triangles, tolerance) {
+    const { findVertex } = createVertexMerger(tolerance);
+
+    const partners = new Map();
+    const shapes = [];
+    for (const triangle of triangles) {
+        const [apex, inner, outer] = triangle.points;
+        const key = `${triangle.type}|${findVertex(inner)}|${findVertex(outer)}`;
+
+        const partner = partners.get(key);
+        if (!partner) {
+            partners.set(key, triangle);
+            continue;
+        }
+
+        partners.delete(key);
+        shapes.push({
+            type: triangle.type === 'obtuse' ? 'thick' : 'thin',
+            points: [inner, apex, outer, partner.points[0]]
+        });
+    }
+
+    return shapes;
+}
+
+/**
+ * Keep the largest group of shapes joined through shared edges
+ * Pairing along a ragged boundary can leave small islands that touch the rest at most at a
+ * corner; alignment could never place them, so they are dropped
+ * @param {Array} shapes - Shapes {type, points}
+ * @param {number} tolerance - Distance below which two points count as the same vertex
+ * @returns {Array} Shapes of the largest edge-connected patch
+ */
+function keepLargestPatch(shapes, tolerance) {
+    const { findVertex } = createVertexMerger(tolerance);
+
+    const edgeOwners = new Map();
+    const neighbors = shapes.map(() => []);
+    shapes.forEach((shape, index) => {
+        for (let i = 0; i < 4; i++) {
+            const edgeKey = [findVertex(shape.points[i]), findVertex(shape.points[(i + 1) % 4])].sort((a, b) => a - b).join('|');
+            const owner = edgeOwners.get(edgeKey);
+            if (owner === undefined) {
+                edgeOwners.set(edgeKey, index);
+            } else {
+                neighbors[owner].push(index);
+                neighbors[index].push(owner);
+            }
+        }
+    });
+
+    const visited = new Array(shapes.length).fill(false);
+    let largest = [];
+    for (let start = 0; start < shapes.length; start++) {
+        if (visited[start]) {
+            continue;
+        }
+        visited[start] = true;
+        const patch = [start];
+        for (let i = 0; i < patch.length; i++) {
+            for (const neighbor of neighbors[patch[i]]) {
+                if (!visited[neighbor]) {
+                    visited[neighbor] = true;
+                    patch.push(neighbor);
+                }
+            }
+        }
+        if (patch.length > largest.length) {
+            largest = patch;
+        }
+    }
+
+    return largest.sort((a, b) => a - b).map(index => shapes[index]);
+}
+
+/**
+ * Drop the shapes that close off cavities inside the patch
+ * Triangles left unpaired along the ragged boundary can leave a hole that the shapes around it
+ * enclose. Each pass removes the shapes on the edge of every hole, opening it to the outside,
+ * and keeps the largest patch of what is left, until no hole remains
+ * @param {Array} shapes - Shapes {type, points} of one edge-connected patch
+ * @param {number} tolerance - Distance below which two points count as the same vertex
+ * @returns {Array} Shapes of a patch without holes
+ */
+function trimEnclosedCavities(shapes, tolerance) {
+    const near = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]) < tolerance;
+    let patch = shapes;
+
+    for (;;) {
+        const holeEdges = traceBoundaryLoops(patch, tolerance)
+            .filter(loop => getSignedArea(loop) < 0)
+            .flatMap(loop => loop.map((p, i) => [p, loop[(i + 1) % loop.length]]));
+        if (holeEdges.length === 0) {
+            return patch;
+        }
+
+        // Each hole edge runs the opposite way round the shape it belongs to
+        const bordersHole = shape => shape.points.some((p, i) => {
+            const q = shape.points[(i + 1) % shape.points.length];
+            return holeEdges.some(([a, b]) => (near(a, q) && near(b, p)) || (near(a, p) && near(b, q)));
+        });
+        patch = keepLargestPatch(patch.filter(shape => !bordersHole(shape)), tolerance);
+    }
+}
+
+/**
+ * Find the family whose unit vector an edge runs along, in either direction
+ * @param {Array} p - Edge start [x, y]
+ * @param {Array} q - Edge end [x, y]
+ * @param {number} families - Number of families
+ * @returns {number} Family index
+ */
+function findEdgeFamily(p, q, families) {
+    const angle = Math.atan2(q[1] - p[1], q[0] - p[0]);
+    let best = 0;
+    let bestSine = Infinity;
+    for (let k = 0; k < families; k++) {
+        const sine = Math.abs(Math.sin(angle - familyAngle(k, families)));
+        if (sine < bestSine) {
+            bestSine = sine;
+            best = k;
+        }
+    }
+    return best;
+}
+
+/**
+ * Turn rhombus shapes into full rhombi with a stand-in grid and adjacency graph
+ * Rhombi joined through edges of one family form that family's ribbons, and each ribbon
+ * becomes a grid line. The stand-in intersections sit where a grid with the given spacing
+ * would put them, so reset scatters the new rhombi like the original ones
+ * @param {Array} shapes - Shapes {type, points: [inner, apex, outer, apex]} with edge length params.scale
+ * @param {Object} params - Grid parameters {numLines, spacing, scale, families}
+ * @returns {Object} Tiling {rhombs, rhombGraph, intersections}, with every rhombus aligned in place
+ */
+function buildSubstitutedTiling(shapes, params) {
+    const families = getFamilyCount(params);
+    const { findVertex } = createVertexMerger(params.scale * SUBSTITUTION_TOLERANCE_RATIO);
+
+    // Dual tile centers are (5 / 2) * scale / spacing times their grid positions
+    const spread = 2 * params.spacing / (families * params.scale);
+    const anchors = shapes.map(shape => {
+        const center = shape.points.reduce((sum, p) => [sum[0] + p[0] / 4, sum[1] + p[1] / 4], [0, 0]);
+        return { center, x: center[0] * spread, y: center[1] * spread };
+    });
+
+    // Union-find over (rhombus, family) ribbon memberships
+    const parent = new Map();
+    const find = node => {
+        while (parent.get(node) !== node) {
+            parent.set(node, parent.get(parent.get(node)));
+            node = parent.get(node);
+        }
+        return node;
+    };
+
+    const edgeOwners = new Map();
+    const shapeFamilies = shapes.map((shape, index) => {
+        const found = [];
+        for (let i = 0; i < 4; i++) {
+            const p = shape.points[i];
+            const q = shape.points[(i + 1) % 4];
+            const family = findEdgeFamily(p, q, families);
+            const node = `${index}:${family}`;
+            if (!parent.has(node)) {
+                parent.set(node, node);
+                found.push(family);
+            }
+
+            const edgeKey = [findVertex(p), findVertex(q)].sort((a, b) => a - b).join('|');
+            const owner = edgeOwners.get(edgeKey);
+            if (owner === undefined) {
+                edgeOwners.set(edgeKey, node);
+            } else {
+                parent.set(find(node), find(owner));
+            }
+        }
+        return found.sort((a, b) => a - b);
+    });
+
+    // Collect each ribbon's members, then give every ribbon a line through their average offset
+    const ribbons = new Map();
+    shapeFamilies.forEach((found, index) => {
+        for (const family of found) {
+            const root = find(`${index}:${family}`);
+            if (!ribbons.has(root)) {
+                ribbons.set(root, { family, members: [] });
+            }
+            ribbons.get(root).members.push(index);
+        }
+    });
+
+    const lines = new Map();
+    for (let family = 0; family < families; family++) {
+        const angle = familyAngle(family, families);
+        const normal = { x: Math.cos(angle), y: Math.sin(angle) };
+        const familyRibbons = [...ribbons].filter(([, ribbon]) => ribbon.family === family).map(([root, ribbon]) => {
+            const offsets = ribbon.members.map(index => anchors[index].x * normal.x + anchors[index].y * normal.y);
+            const along = ribbon.members.map(index => anchors[index].y * normal.x - anchors[index].x * normal.y);
+            return {
+                root,
+                d: offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length,
+                halfLength: Math.max(...along.map(Math.abs)) + params.spacing
+            };
+        });
+
+        familyRibbons.sort((a, b) => a.d - b.d);
+        familyRibbons.forEach((ribbon, n) => {
+            lines.set(ribbon.root, createGridLine(family, n, ribbon.d, ribbon.halfLength, families));
+        });
+    }
+
+    const rhombs = [];
+    const intersections = [];
+    shapes.forEach((shape, index) => {
+        const [family1, family2] = shapeFamilies[index];
+        const intersection = {
+            x: anchors[index].x,
+            y: anchors[index].y,
+            line1: lines.get(find(`${index}:${family1}`)),
+            line2: lines.get(find(`${index}:${family2}`))
+        };
+
+        // findRhomb centers the rhombus on its intersection, which is where reset puts it
+        const rhomb = findRhomb(intersection, params.scale);
+        const [cx, cy] = anchors[index].center;
+        rhomb.points = rhomb.points.map(p => [p[0] - intersection.x + cx, p[1] - intersection.y + cy]);
+        rhomb.aligned = true;
+
+        const outer = shape.points[2];
+        rhomb.outerVertex = rhomb.points.reduce((best, p, i) =>
+            Math.hypot(p[0] - outer[0], p[1] - outer[1]) <
+            Math.hypot(rhomb.points[best][0] - outer[0], rhomb.points[best][1] - outer[1]) ? i : best, 0);
+
+        rhombs.push(rhomb);
+        intersections.push(intersection);
+    });
+
+    return { rhombs, rhombGraph: buildRhombGraph(rhombs), intersections };
+}
+
+/**
+ * Scale shapes about the origin
+ * @param {Array} shapes - Shapes {type, points}
+ * @param {number} factor - Scale factor
+ * @returns {Array} Scaled shapes
+ */
+function scaleShapes(shapes, factor) {
+    return shapes.map(shape => ({ ...shape, points: shape.points.map(p => [p[0] * factor, p[1] * factor]) }));
+}
+
+/**
+ * Deflate an aligned tiling, cutting every rhombus into rhombi φ times smaller
+ * Halves left without a partner along the edge of the patch are dropped, along with the
+ * rhombi that would enclose the holes they leave. The result is scaled up by φ about the
+ * origin so its edges keep the original length
+ * @param {Array} rhombs - Aligned rhombi
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale, families}
+ * @returns {Object|null} Tiling {rhombs, rhombGraph, intersections}, or null if the tiling has
+ *   no matching-rule orientation
+ */
+function deflateTiling(rhombs, params) {
+    const triangles = decomposeToRobinsonTriangles(rhombs, params);
+    if (triangles.length === 0) {
+        return null;
+    }
+
+    const tolerance = params.scale * SUBSTITUTION_TOLERANCE_RATIO / GOLDEN_RATIO;
+    const paired = pairTrianglesIntoRhombi(triangles.flatMap(deflateTriangle), tolerance);
+    const shapes = trimEnclosedCavities(keepLargestPatch(paired, tolerance), tolerance);
+    return buildSubstitutedTiling(scaleShapes(shapes, GOLDEN_RATIO), params);
+}
+
+/**
+ * Inflate an aligned tiling, merging rhombi into rhombi φ times larger where every piece is present
+ * Rhombi that can't be merged, which happens along the edge of the patch, are dropped. The result
+ * is scaled down by φ about the origin so its edges keep the original length
+ * @param {Array} rhombs - Aligned rhombi
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale, families}
+ * @returns {Object|null} Tiling {rhombs, rhombGraph, intersections}, or null if the tiling has
+ *   no matching-rule orientation
+ */
+function inflateTiling(rhombs, params) {
+    const triangles = decomposeToRobinsonTriangles(rhombs, params);
+    if (triangles.length === 0) {
+        return null;
+    }
+
+    const tolerance = params.scale * SUBSTITUTION_TOLERANCE_RATIO;
+    const paired = pairTrianglesIntoRhombi(inflateTriangles(triangles, tolerance), tolerance);
+    const shapes = trimEnclosedCavities(keepLargestPatch(paired, tolerance), tolerance);
+    return buildSubstitutedTiling(scaleShapes(shapes, 1 / GOLDEN_RATIO), params);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        deflateTriangle,
+        inflateTriangles,
+        pairTrianglesIntoRhombi,
+        keepLargestPatch,
+        trimEnclosedCavities,
+        buildSubstitutedTiling,
+        deflateTiling,
+        inflateTiling
+    };
+}
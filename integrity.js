@@ -0,0 +1,274 @@
+/**
+ * Tiling integrity check
+ * Verifies that the rhombi form an edge-to-edge tiling: no two tiles overlap,
+ * no hole is left inside the tiled region, and every pair of graph neighbors
+ * meets along the edge on their shared grid line. Each defect is reported with
+ * the geometry needed to highlight it.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        calculateAlignmentOffset,
+        findEdgeOnLine,
+        getSignedArea,
+        getPositivePoints,
+        getPolygonBounds,
+        clipToConvexPolygon,
+        createVertexMerger
+    } = require('./utils.js');
+}
+
+/**
+ * Find every pair of rhombi whose interiors overlap
+ * Rhombi are bucketed on a grid of the largest tile size, so only tiles sharing a
+ * bucket are clipped against each other
+ * @param {Array} rhombs - All rhombi
+ * @param {number} minArea - Overlaps of this area or less are rounding, not defects
+ * @returns {Array} One {index, otherIndex, area, polygon} per overlapping pair, where polygon is
+ *   the shared region
+ */
+function findTileOverlaps(rhombs, minArea) {
+    const shapes = rhombs.map(rhomb => {
+        const points = getPositivePoints(rhomb);
+        return { points, bounds: getPolygonBounds(points) };
+    });
+    const cellSize = Math.max(...shapes.map(({ bounds }) => Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY)));
+    const buckets = new Map();
+    const overlaps = [];
+    const checked = new Set();
+
+    shapes.forEach(({ points, bounds }, index) => {
+        for (let cx = Math.floor(bounds.minX / cellSize); cx <= Math.floor(bounds.maxX / cellSize); cx++) {
+            for (let cy = Math.floor(bounds.minY / cellSize); cy <= Math.floor(bounds.maxY / cellSize); cy++) {
+                const key = `${cx},${cy}`;
+                const bucket = buckets.get(key) || [];
+
+                for (const otherIndex of bucket) {
+                    const pairKey = `${otherIndex},${index}`;
+                    const other = shapes[otherIndex];
+                    if (checked.has(pairKey) || other.bounds.maxX <= bounds.minX || other.bounds.minX >= bounds.maxX ||
+                        other.bounds.maxY <= bounds.minY || other.bounds.minY >= bounds.maxY) {
+                        continue;
+                    }
+                    checked.add(pairKey);
+
+                    const polygon = clipToConvexPolygon(points, other.points);
+                    const area = polygon.length >= 3 ? getSignedArea(polygon) : 0;
+                    if (area > minArea) {
+                        overlaps.push({ index: otherIndex, otherIndex: index, area, polygon });
+                    }
+                }
+
+                bucket.push(index);
+                buckets.set(key, bucket);
+            }
+        }
+    });
+
+    return overlaps;
+}
+
+/**
+ * Trace the boundary of the region covered by the rhombi
+ * Corners closer than the tolerance are merged, and an edge shared by two tiles
+ * (once in each direction) is interior. The rest chain into loops that keep the
+ * tiles on their left, so the outline of each patch has positive signed area and
+ * the outline of each hole in it negative. Where loops touch at a corner, the one
+ * turning furthest right is followed, which keeps each loop around a single region
+ * @param {Array} rhombs - All rhombi
+ * @param {number} tolerance - Distance below which two corners count as the same vertex
+ * @returns {Array} Loops, each an array of corners [x, y]
+ */
+function traceBoundaryLoops(rhombs, tolerance) {
+    const { vertices, findVertex } = createVertexMerger(tolerance);
+
+    // Directed edges still waiting for their opposite, keyed by 'from>to'
+    const pending = new Map();
+    for (const rhomb of rhombs) {
+        const corners = getPositivePoints(rhomb).map(p => findVertex(p));
+        corners.forEach((from, i) => {
+            const to = corners[(i + 1) % corners.length];
+            if (from === to) {
+                return;
+            }
+
+            const opposite = pending.get(`${to}>${from}`);
+            if (opposite && opposite.length > 0) {
+                opposite.pop();
+            } else {
+                const key = `${from}>${to}`;
+                if (!pending.has(key)) {
+                    pending.set(key, []);
+                }
+                pending.get(key).push({ from, to, used: false });
+            }
+        });
+    }
+
+    const outgoing = new Map();
+    for (const edges of pending.values()) {
+        for (const edge of edges) {
+            if (!outgoing.has(edge.from)) {
+                outgoing.set(edge.from, []);
+            }
+            outgoing.get(edge.from).push(edge);
+        }
+    }
+
+    const direction = edge => [vertices[edge.to][0] - vertices[edge.from][0], vertices[edge.to][1] - vertices[edge.from][1]];
+    const turn = (edge, next) => {
+        const [ax, ay] = direction(edge);
+        const [bx, by] = direction(next);
+        return Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+    };
+
+    const loops = [];
+    for (const edges of outgoing.values()) {
+        for (const start of edges) {
+            const loop = [];
+            let edge = start;
+
+            while (edge && !edge.used) {
+                edge.used = true;
+                loop.push(vertices[edge.from]);
+
+                const candidates = (outgoing.get(edge.to) || []).filter(next => !next.used);
+                const current = edge;
+                edge = candidates.reduce((best, next) => !best || turn(current, next) < turn(current, best) ? next : best, null);
+            }
+
+            if (loop.length >= 3) {
+                loops.push(loop);
+            }
+        }
+    }
+
+    return loops;
+}
+
+/**
+ * Find the holes inside the tiled region that no rhombus covers
+ * A hole in the outline may still be partly covered by a tile that slid into it
+ * without sharing its edges, so the covered part is subtracted before deciding
+ * @param {Array} rhombs - All rhombi
+ * @param {number} tolerance - Distance below which two corners count as the same vertex
+ * @param {number} minArea - Gaps of this uncovered area or less are rounding, not defects
+ * @returns {Array} One {polygon, area} per hole, where area is the part no tile covers
+ */
+function findTilingGaps(rhombs, tolerance, minArea) {
+    const shapes = rhombs.map(rhomb => {
+        const points = getPositivePoints(rhomb);
+        return { points, bounds: getPolygonBounds(points) };
+    });
+    const gaps = [];
+
+    for (const loop of traceBoundaryLoops(rhombs, tolerance)) {
+        const holeArea = -getSignedArea(loop);
+        if (holeArea <= minArea) {
+            continue;
+        }
+
+        // Clipping needs the hole wound like the tiles
+        const polygon = [...loop].reverse();
+        const bounds = getPolygonBounds(polygon);
+        let covered = 0;
+        for (const shape of shapes) {
+            if (shape.bounds.maxX <= bounds.minX || shape.bounds.minX >= bounds.maxX ||
+                shape.bounds.maxY <= bounds.minY || shape.bounds.minY >= bounds.maxY) {
+                continue;
+            }
+            const inside = clipToConvexPolygon(polygon, shape.points);
+            covered += inside.length >= 3 ? getSignedArea(inside) : 0;
+        }
+
+        const area = holeArea - covered;
+        if (area > minArea) {
+            gaps.push({ polygon, area });
+        }
+    }
+
+    return gaps;
+}
+
+/**
+ * Find graph neighbors that don't meet along their shared grid line
+ * Unlike the alignment, a pair whose edge can't be found on the line is reported
+ * rather than treated as already sharing it
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {number} tolerance - Largest residual distance that still counts as sharing the edge
+ * @returns {Array} One {index, neighborIndex, sharedLine, reason, offset, error, edge, neighborEdge}
+ *   per mismatched pair, where reason is 'missing' if either edge wasn't found (offset and error
+ *   are then null) or 'offset' if the edges are apart
+ */
+function findEdgeMismatches(rhombs, rhombGraph, tolerance) {
+    const mismatches = [];
+
+    for (const [index, neighbors] of rhombGraph) {
+        for (const { neighborIndex, sharedLine, direction } of neighbors) {
+            if (neighborIndex < index) {
+                continue;
+            }
+
+            const reverseDirection = direction === 'forward' ? 'backward' : 'forward';
+            const edge = findEdgeOnLine(rhombs[index], sharedLine, direction);
+            const neighborEdge = findEdgeOnLine(rhombs[neighborIndex], sharedLine, reverseDirection);
+            const mismatch = { index, neighborIndex, sharedLine, reason: 'missing', offset: null, error: null, edge, neighborEdge };
+
+            if (!edge || !neighborEdge) {
+                mismatches.push(mismatch);
+                continue;
+            }
+
+            const offset = calculateAlignmentOffset(rhombs[index], rhombs[neighborIndex], sharedLine, direction);
+            const error = Math.hypot(offset.x, offset.y);
+            if (error > tolerance) {
+                mismatches.push({ ...mismatch, reason: 'offset', offset, error });
+            }
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Check whether the rhombi form a valid edge-to-edge tiling
+ * Areas below the tolerance times the edge length are ignored, so a sliver no wider
+ * than the tolerance along a whole edge isn't a defect
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {number} tolerance - Largest distance between corners or edges that still counts as meeting
+ * @returns {Object} Report {overlaps, gaps, mismatchedEdges, overlapArea, gapArea, valid} with the
+ *   defects from findTileOverlaps, findTilingGaps and findEdgeMismatches and their total areas
+ */
+function checkTilingIntegrity(rhombs, rhombGraph, tolerance) {
+    if (rhombs.length === 0) {
+        return { overlaps: [], gaps: [], mismatchedEdges: [], overlapArea: 0, gapArea: 0, valid: true };
+    }
+
+    const [p, q] = rhombs[0].points;
+    const minArea = tolerance * Math.hypot(q[0] - p[0], q[1] - p[1]);
+
+    const overlaps = findTileOverlaps(rhombs, minArea);
+    const gaps = findTilingGaps(rhombs, tolerance, minArea);
+    const mismatchedEdges = findEdgeMismatches(rhombs, rhombGraph, tolerance);
+
+    return {
+        overlaps,
+        gaps,
+        mismatchedEdges,
+        overlapArea: overlaps.reduce((sum, overlap) => sum + overlap.area, 0),
+        gapArea: gaps.reduce((sum, gap) => sum + gap.area, 0),
+        valid: overlaps.length === 0 && gaps.length === 0 && mismatchedEdges.length === 0
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        findTileOverlaps,
+        traceBoundaryLoops,
+        findTilingGaps,
+        findEdgeMismatches,
+        checkTilingIntegrity
+    };
+}
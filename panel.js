@@ -0,0 +1,614 @@
+/**
+ * Live parameter panel
+ * Edits gammas, line count, spacing and scale and regenerates the tiling in place
+ */
+
+// Panel DOM elements
+let parameterPanel;
+let familiesInput;
+let gammaContainer;
+let gammaInputs = [];
+let sumToOneCheckbox;
+let resolveSingularCheckbox;
+let numLinesInput;
+let spacingInput;
+let scaleInput;
+let panelMessage;
+let exportGridCheckbox;
+let exportIntersectionsCheckbox;
+let exportCropCheckbox;
+let exportFillCheckbox;
+let exportMultiplierInput;
+let recordingFormatSelect;
+let recordButton;
+let autosaveCheckbox;
+let speedSlider;
+let speedLabel;
+let conwayArcsCheckbox;
+let ammannBarsCheckbox;
+let viewSelect;
+let vertexStarsCheckbox;
+let selectModeCheckbox;
+let puzzleSeedInput;
+let debugOverlayCheckbox;
+let logLevelSelect;
+
+/**
+ * Create the parameter panel below the action buttons
+ */
+function createParameterPanel() {
+    parameterPanel = createDiv();
+    parameterPanel.class('parameter-panel');
+    parameterPanel.position(20, 100);
+
+    // Changing the family count resets the gammas to an even split
+    familiesInput = createParameterInput('Families', FAMILIES);
+    familiesInput.input(() => {
+        const families = Number(familiesInput.value());
+        if (Number.isInteger(families) && families >= MIN_FAMILIES && families <= MAX_FAMILIES) {
+            createGammaInputs(new Array(families).fill(1 / families));
+            updateDerivedGamma();
+        }
+    });
+
+    // One input per gamma
+    gammaContainer = createDiv();
+    gammaContainer.parent(parameterPanel);
+    createGammaInputs(GAMMAS);
+
+    // Constraint that the gammas sum to 1, off if a link or session loaded gammas that don't
+    sumToOneCheckbox = createCheckbox('Gammas sum to 1', gammasSumToOne(GAMMAS));
+    sumToOneCheckbox.parent(parameterPanel);
+    sumToOneCheckbox.changed(updateDerivedGamma);
+
+    numLinesInput = createParameterInput('Lines per family', NUM_LINES);
+    spacingInput = createParameterInput('Spacing', SPACING);
+    scaleInput = createParameterInput('Scale', SCALE);
+
+    // Nudge the gammas when three or more lines would meet at a point
+    resolveSingularCheckbox = createCheckbox('Resolve singular points', true);
+    resolveSingularCheckbox.parent(parameterPanel);
+
+    const applyButton = createButton('Regenerate');
+    applyButton.parent(parameterPanel);
+    applyButton.mousePressed(applyParameters);
+
+    panelMessage = createDiv('');
+    panelMessage.class('panel-message');
+    panelMessage.parent(parameterPanel);
+
+    createAlignmentControls();
+    createSelectionControls();
+    createSubstitutionControls();
+    createPuzzleControls();
+    createDecorationControls();
+    createExportControls();
+    createSessionControls();
+    createDebugControls();
+
+    updateDerivedGamma();
+}
+
+/**
+ * Create the alignment playback controls
+ */
+function createAlignmentControls() {
+    const heading = createDiv('Alignment');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    const stepRow = createDiv();
+    stepRow.class('panel-row');
+    stepRow.parent(parameterPanel);
+
+    const backButton = createButton('Step Back');
+    backButton.parent(stepRow);
+    backButton.mousePressed(stepAlignmentBack);
+
+    const forwardButton = createButton('Step Forward');
+    forwardButton.parent(stepRow);
+    forwardButton.mousePressed(stepAlignmentForward);
+
+    const finishButton = createButton('Finish Now');
+    finishButton.parent(parameterPanel);
+    finishButton.mousePressed(finishAlignment);
+
+    const relaxButton = createButton('Relax Conflicts');
+    relaxButton.parent(parameterPanel);
+    relaxButton.mousePressed(relaxConflicts);
+
+    const checkRow = createDiv();
+    checkRow.class('panel-row');
+    checkRow.parent(parameterPanel);
+
+    const checkButton = createButton('Check Tiling');
+    checkButton.parent(checkRow);
+    checkButton.mousePressed(checkIntegrity);
+
+    const clearCheckButton = createButton('Clear Check');
+    clearCheckButton.parent(checkRow);
+    clearCheckButton.mousePressed(clearIntegrityReport);
+
+    const speedRow = createDiv();
+    speedRow.class('panel-row');
+    speedRow.parent(parameterPanel);
+
+    speedLabel = createSpan(describeAlignmentSpeed(alignmentSpeedIndex));
+    speedLabel.parent(speedRow);
+
+    speedSlider = createSlider(0, ALIGNMENT_SPEEDS.length - 1, alignmentSpeedIndex, 1);
+    speedSlider.parent(speedRow);
+    speedSlider.input(() => {
+        setAlignmentSpeed(Number(speedSlider.value()));
+        speedLabel.html(describeAlignmentSpeed(alignmentSpeedIndex));
+    });
+}
+
+/**
+ * Create the multi-selection controls
+ */
+function createSelectionControls() {
+    const heading = createDiv('Selection');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    // Touch screens have no shift key, so select mode stands in for it
+    selectModeCheckbox = createCheckbox('Select mode (tap to add, drag a box)', isSelectMode);
+    selectModeCheckbox.parent(parameterPanel);
+    selectModeCheckbox.changed(() => {
+        isSelectMode = selectModeCheckbox.checked();
+    });
+
+    const clearSelectionButton = createButton('Clear Selection');
+    clearSelectionButton.parent(parameterPanel);
+    clearSelectionButton.mousePressed(clearSelection);
+}
+
+/**
+ * Create the puzzle seed input and start/give up buttons
+ */
+function createPuzzleControls() {
+    const heading = createDiv('Puzzle');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    puzzleSeedInput = createParameterInput('Seed', RANDOM_SEED);
+
+    const row = createDiv();
+    row.class('panel-row');
+    row.parent(parameterPanel);
+
+    const startButton = createButton('Scramble');
+    startButton.parent(row);
+    startButton.mousePressed(() => {
+        const seed = Number(puzzleSeedInput.value());
+        if (!Number.isInteger(seed)) {
+            showPanelMessage('Seed must be an integer', true);
+            return;
+        }
+        startPuzzle(seed);
+    });
+
+    const giveUpButton = createButton('Give Up');
+    giveUpButton.parent(row);
+    giveUpButton.mousePressed(() => {
+        if (isPuzzleActive()) {
+            showPanelMessage(`Gave up puzzle ${puzzle.seed}`, false);
+        }
+        endPuzzle();
+    });
+}
+
+/**
+ * Create the deflate/inflate buttons
+ */
+function createSubstitutionControls() {
+    const heading = createDiv('Substitution');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    const row = createDiv();
+    row.class('panel-row');
+    row.parent(parameterPanel);
+
+    const deflateButton = createButton('Deflate');
+    deflateButton.parent(row);
+    deflateButton.mousePressed(() => substituteTiling(false));
+
+    const inflateButton = createButton('Inflate');
+    inflateButton.parent(row);
+    inflateButton.mousePressed(() => substituteTiling(true));
+}
+
+/**
+ * Create the matching-rule decoration toggles
+ */
+function createDecorationControls() {
+    const heading = createDiv('Decorations');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    conwayArcsCheckbox = createCheckbox('Conway arcs', showConwayArcs);
+    conwayArcsCheckbox.parent(parameterPanel);
+    conwayArcsCheckbox.changed(() => {
+        showConwayArcs = conwayArcsCheckbox.checked();
+        checkDecorationsAvailable();
+    });
+
+    ammannBarsCheckbox = createCheckbox('Ammann bars', showAmmannBars);
+    ammannBarsCheckbox.parent(parameterPanel);
+    ammannBarsCheckbox.changed(() => {
+        showAmmannBars = ammannBarsCheckbox.checked();
+        checkDecorationsAvailable();
+    });
+
+    const viewRow = createDiv();
+    viewRow.class('panel-row');
+    viewRow.parent(parameterPanel);
+
+    const viewLabel = createSpan('View');
+    viewLabel.parent(viewRow);
+
+    viewSelect = createSelect();
+    for (const [mode, label] of Object.entries(VIEW_MODES)) {
+        viewSelect.option(label, mode);
+    }
+    viewSelect.selected(viewMode);
+    viewSelect.parent(viewRow);
+    viewSelect.changed(() => setViewMode(viewSelect.value()));
+
+    vertexStarsCheckbox = createCheckbox('Vertex stars', showVertexStars);
+    vertexStarsCheckbox.parent(parameterPanel);
+    vertexStarsCheckbox.changed(() => setShowVertexStars(vertexStarsCheckbox.checked()));
+}
+
+/**
+ * Warn when decorations are enabled but the grid has no matching rules to show
+ */
+function checkDecorationsAvailable() {
+    if ((showConwayArcs || showAmmannBars) && rhombPoints.length > 0 &&
+        findOuterVertex(rhombPoints[0], getGridParameters()) === null) {
+        showPanelMessage('Decorations need a 5-family grid whose gammas sum to an integer', true);
+    }
+}
+
+/**
+ * Create the SVG export options and button
+ */
+function createExportControls() {
+    const heading = createDiv('Export');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    exportGridCheckbox = createCheckbox('Include grid', false);
+    exportGridCheckbox.parent(parameterPanel);
+
+    exportIntersectionsCheckbox = createCheckbox('Include intersections', false);
+    exportIntersectionsCheckbox.parent(parameterPanel);
+
+    exportCropCheckbox = createCheckbox('Crop to view', false);
+    exportCropCheckbox.parent(parameterPanel);
+
+    exportFillCheckbox = createCheckbox('Fill thick/thin tiles', false);
+    exportFillCheckbox.parent(parameterPanel);
+
+    const exportButton = createButton('Export SVG');
+    exportButton.parent(parameterPanel);
+    exportButton.mousePressed(() => saveTilingSvg({
+        includeGrid: exportGridCheckbox.checked(),
+        includeIntersections: exportIntersectionsCheckbox.checked(),
+        cropToCanvas: exportCropCheckbox.checked(),
+        filled: exportFillCheckbox.checked()
+    }));
+
+    exportMultiplierInput = createParameterInput('PNG resolution ×', 2);
+
+    const pngButton = createButton('Export PNG');
+    pngButton.parent(parameterPanel);
+    pngButton.mousePressed(() => {
+        const multiplier = Number(exportMultiplierInput.value());
+        const error = validateExportMultiplier(multiplier);
+        if (error) {
+            showPanelMessage(error, true);
+            return;
+        }
+        saveHighResolutionPng(multiplier);
+    });
+
+    const recordRow = createDiv();
+    recordRow.class('panel-row');
+    recordRow.parent(parameterPanel);
+
+    recordingFormatSelect = createSelect();
+    for (const [format, label] of Object.entries(RECORDING_FORMATS)) {
+        recordingFormatSelect.option(label, format);
+    }
+    recordingFormatSelect.parent(recordRow);
+
+    // One button starts and stops the recording
+    recordButton = createButton('Record');
+    recordButton.parent(recordRow);
+    recordButton.mousePressed(() => {
+        if (isRecording()) {
+            stopRecording();
+        } else {
+            startRecording(recordingFormatSelect.value());
+        }
+    });
+}
+
+/**
+ * Match the record button label to the recording state
+ */
+function updateRecordButton() {
+    recordButton.html(isRecording() ? 'Stop Recording' : 'Record');
+}
+
+/**
+ * Create the session save/load controls
+ */
+function createSessionControls() {
+    const heading = createDiv('Session');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    const saveButton = createButton('Save Session');
+    saveButton.parent(parameterPanel);
+    saveButton.mousePressed(saveSessionFile);
+
+    const linkButton = createButton('Copy Link');
+    linkButton.parent(parameterPanel);
+    linkButton.mousePressed(copyShareLink);
+
+    const loadRow = createDiv();
+    loadRow.class('panel-row');
+    loadRow.parent(parameterPanel);
+
+    const loadLabel = createSpan('Load');
+    loadLabel.parent(loadRow);
+
+    // p5 reads JSON files as data URLs, so read the raw file as text instead
+    const fileInput = createFileInput(file => {
+        file.file.text()
+            .then(loadSessionText)
+            .catch(error => showPanelMessage(`Could not read ${file.name}: ${error.message}`, true));
+    });
+    fileInput.attribute('accept', '.json,application/json');
+    fileInput.parent(loadRow);
+
+    autosaveCheckbox = createCheckbox('Autosave in browser', readStorage(AUTOSAVE_ENABLED_KEY) === 'true');
+    autosaveCheckbox.parent(parameterPanel);
+    autosaveCheckbox.changed(() => setAutosave(autosaveCheckbox.checked()));
+}
+
+/**
+ * Create the debug overlay toggle and console log level switch
+ */
+function createDebugControls() {
+    const heading = createDiv('Debug');
+    heading.class('panel-heading');
+    heading.parent(parameterPanel);
+
+    debugOverlayCheckbox = createCheckbox('Debug overlay', isDebugOverlayVisible);
+    debugOverlayCheckbox.parent(parameterPanel);
+    debugOverlayCheckbox.changed(() => {
+        isDebugOverlayVisible = debugOverlayCheckbox.checked();
+    });
+
+    const row = createDiv();
+    row.class('panel-row');
+    row.parent(parameterPanel);
+
+    const label = createSpan('Log level');
+    label.parent(row);
+
+    logLevelSelect = createSelect();
+    for (const level of LOG_LEVELS) {
+        logLevelSelect.option(level);
+    }
+    logLevelSelect.selected(logLevel);
+    logLevelSelect.parent(row);
+    logLevelSelect.changed(() => setLogLevel(logLevelSelect.value()));
+}
+
+/**
+ * Replace the gamma inputs with one per family
+ * @param {Array} gammas - Initial gamma values
+ */
+function createGammaInputs(gammas) {
+    gammaContainer.html('');
+
+    gammaInputs = gammas.map((gamma, k) => {
+        const input = createParameterInput(`Gamma ${k}`, gamma, gammaContainer);
+        input.input(updateDerivedGamma);
+        return input;
+    });
+}
+
+/**
+ * Show the current grid parameters in the panel inputs
+ */
+function updatePanelInputs() {
+    familiesInput.value(String(FAMILIES));
+    if (gammaInputs.length === GAMMAS.length) {
+        GAMMAS.forEach((gamma, k) => gammaInputs[k].value(String(gamma)));
+    } else {
+        createGammaInputs(GAMMAS);
+    }
+
+    // Keep the sum constraint only if the gammas actually satisfy it
+    sumToOneCheckbox.checked(gammasSumToOne(GAMMAS));
+
+    numLinesInput.value(String(NUM_LINES));
+    spacingInput.value(String(SPACING));
+    scaleInput.value(String(SCALE));
+
+    updateDerivedGamma();
+}
+
+/**
+ * Check whether gammas satisfy the sum constraint
+ * The tolerance only absorbs rounding, so deriving the last gamma can't change the grid
+ * @param {Array} gammas - Gamma values
+ * @returns {boolean} True if they sum to 1
+ */
+function gammasSumToOne(gammas) {
+    const sum = gammas.reduce((total, gamma) => total + gamma, 0);
+    return Math.abs(sum - 1) < GAMMA_SUM_TOLERANCE;
+}
+
+/**
+ * Create a labelled numeric input inside the panel
+ * @param {string} label - Label text
+ * @param {number} value - Initial value
+ * @param {Object} [container] - Element to add the row to, the panel itself by default
+ * @returns {Object} p5 input element
+ */
+function createParameterInput(label, value, container = parameterPanel) {
+    const row = createDiv();
+    row.class('panel-row');
+    row.parent(container);
+
+    const labelSpan = createSpan(label);
+    labelSpan.parent(row);
+
+    const input = createInput(String(value), 'number');
+    input.attribute('step', 'any');
+    input.parent(row);
+
+    return input;
+}
+
+/**
+ * Keep the last gamma in sync when the sum constraint is active
+ */
+function updateDerivedGamma() {
+    const lastInput = gammaInputs[gammaInputs.length - 1];
+
+    if (!sumToOneCheckbox.checked()) {
+        lastInput.removeAttribute('disabled');
+        return;
+    }
+
+    lastInput.attribute('disabled', '');
+
+    const sumOfOthers = gammaInputs
+        .slice(0, -1)
+        .reduce((sum, input) => sum + Number(input.value()), 0);
+    lastInput.value(Number.isFinite(sumOfOthers) ? String(1 - sumOfOthers) : '');
+}
+
+/**
+ * Find the first parameter field left empty, which Number() would silently read as 0
+ * @returns {string|null} Label of the empty field, or null if every field has a value
+ */
+function findBlankParameter() {
+    const fields = [
+        ['Families', familiesInput],
+        ...gammaInputs.map((input, k) => [`Gamma ${k}`, input]),
+        ['Lines per family', numLinesInput],
+        ['Spacing', spacingInput],
+        ['Scale', scaleInput]
+    ];
+
+    // The last gamma is derived, not typed, while the sum constraint is on
+    const derived = sumToOneCheckbox.checked() ? gammaInputs[gammaInputs.length - 1] : null;
+    const blank = fields.find(([, input]) => input !== derived && String(input.value()).trim() === '');
+    return blank ? blank[0] : null;
+}
+
+/**
+ * Read the panel inputs into a parameter object
+ * @returns {Object} Parameters {gammas, numLines, spacing, scale, families}
+ */
+function readParameters() {
+    const gammas = gammaInputs.map(input => Number(input.value()));
+
+    if (sumToOneCheckbox.checked()) {
+        const sumOfOthers = gammas.slice(0, -1).reduce((sum, gamma) => sum + gamma, 0);
+        gammas[gammas.length - 1] = 1 - sumOfOthers;
+    }
+
+    return {
+        families: Number(familiesInput.value()),
+        gammas,
+        numLines: Number(numLinesInput.value()),
+        spacing: Number(spacingInput.value()),
+        scale: Number(scaleInput.value())
+    };
+}
+
+/**
+ * Apply the panel values and rebuild the tiling, or show why they were rejected
+ */
+function applyParameters() {
+    const blank = findBlankParameter();
+    if (blank) {
+        showPanelMessage(`${blank} is required`, true);
+        return;
+    }
+
+    const params = readParameters();
+    const error = validateParameters(params);
+
+    if (error) {
+        showPanelMessage(error, true);
+        return;
+    }
+
+    FAMILIES = params.families;
+    GAMMAS = params.gammas;
+    NUM_LINES = params.numLines;
+    SPACING = params.spacing;
+    SCALE = params.scale;
+
+    regenerateTiling();
+
+    if (singularPoints.length > 0) {
+        reportSingularPoints();
+        return;
+    }
+
+    showPanelMessage(`Generated ${rhombPoints.length} rhombi`, false);
+    checkDecorationsAvailable();
+}
+
+/**
+ * Tell the user about singular points, perturbing the gammas away from them if enabled
+ * @param {boolean} [canResolve] - False when the rhombi must stay on this exact grid, as for a
+ *   loaded session whose saved positions belong to it
+ */
+function reportSingularPoints(canResolve = true) {
+    const count = singularPoints.length;
+
+    if (!canResolve || !resolveSingularCheckbox.checked()) {
+        showPanelMessage(`${count} singular points where three or more lines meet; their rhombi overlap`, true);
+        return;
+    }
+
+    const gammas = resolveSingularGammas(getGridParameters());
+    if (gammas === null) {
+        showPanelMessage(`Could not perturb the gammas away from ${count} singular points`, true);
+        return;
+    }
+
+    GAMMAS = gammas;
+    regenerateTiling();
+    updatePanelInputs();
+
+    showPanelMessage(`Perturbed the gammas to break up ${count} singular points`, false);
+}
+
+/**
+ * Show a status or error message in the panel
+ * @param {string} text - Message text
+ * @param {boolean} isError - Whether to style the message as an error
+ */
+function showPanelMessage(text, isError) {
+    panelMessage.html(text);
+    if (isError) {
+        panelMessage.addClass('error');
+    } else {
+        panelMessage.removeClass('error');
+    }
+}
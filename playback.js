@@ -0,0 +1,163 @@
+/**
+ * Progressive alignment playback
+ * Runs the alignment at an adjustable speed, single-steps it forward and back
+ * through the undo history, and finishes it in one go
+ */
+
+// Playback speeds, from slowest to fastest
+const ALIGNMENT_SPEEDS = [
+    { framesPerStep: 30, stepsPerFrame: 1 },
+    { framesPerStep: 10, stepsPerFrame: 1 },
+    { framesPerStep: 4, stepsPerFrame: 1 },
+    { framesPerStep: 2, stepsPerFrame: 1 },
+    { framesPerStep: 1, stepsPerFrame: 1 },
+    { framesPerStep: 1, stepsPerFrame: 3 },
+    { framesPerStep: 1, stepsPerFrame: 10 },
+    { framesPerStep: 1, stepsPerFrame: 30 },
+    { framesPerStep: 1, stepsPerFrame: 100 }
+];
+
+// One rhombus per frame, matching the original pace
+const DEFAULT_ALIGNMENT_SPEED = 4;
+
+// Current speed index and frames waited since the last step
+let alignmentSpeedIndex = DEFAULT_ALIGNMENT_SPEED;
+let framesSinceAlignmentStep = 0;
+
+/**
+ * Run the alignment steps due this frame at the current speed
+ */
+function runAlignmentFrame() {
+    // A recording captures every step, so it takes one per frame whatever the speed
+    if (isRecording()) {
+        advanceAlignment();
+        return;
+    }
+
+    const speed = ALIGNMENT_SPEEDS[alignmentSpeedIndex];
+
+    framesSinceAlignmentStep++;
+    if (framesSinceAlignmentStep < speed.framesPerStep) {
+        return;
+    }
+    framesSinceAlignmentStep = 0;
+
+    for (let i = 0; i < speed.stepsPerFrame && isAligning; i++) {
+        advanceAlignment();
+    }
+}
+
+/**
+ * Run queue steps until one rhombus has been aligned or the alignment completes
+ * Queue entries with no unaligned neighbors are consumed along the way
+ */
+function advanceAlignment() {
+    let step = stepAlignment();
+    while (step && step.neighborIndex === null) {
+        step = stepAlignment();
+    }
+}
+
+/**
+ * Change the playback speed
+ * @param {number} index - Index into ALIGNMENT_SPEEDS
+ */
+function setAlignmentSpeed(index) {
+    alignmentSpeedIndex = constrain(Math.round(index), 0, ALIGNMENT_SPEEDS.length - 1);
+    framesSinceAlignmentStep = 0;
+}
+
+/**
+ * Describe a playback speed for display
+ * @param {number} index - Index into ALIGNMENT_SPEEDS
+ * @returns {string} Human-readable speed
+ */
+function describeAlignmentSpeed(index) {
+    const speed = ALIGNMENT_SPEEDS[index];
+    if (speed.framesPerStep > 1) {
+        return `1 step / ${speed.framesPerStep} frames`;
+    }
+    return speed.stepsPerFrame === 1 ? '1 step / frame' : `${speed.stepsPerFrame} steps / frame`;
+}
+
+/**
+ * Pause a running alignment so it can be single-stepped or resumed
+ */
+function pauseAlignment() {
+    isAligning = false;
+    isAlignmentPaused = true;
+    updateAlignButton();
+}
+
+/**
+ * Align exactly one more rhombus, starting a paused alignment if none is running
+ */
+function stepAlignmentForward() {
+    if (isAligned || isBlockedByPuzzle()) {
+        return;
+    }
+
+    if (!isAligning && !isAlignmentPaused) {
+        startProgressiveAlignment();
+    }
+    pauseAlignment();
+
+    advanceAlignment();
+    updateAlignButton();
+}
+
+/**
+ * Undo alignment steps back to before the most recently aligned rhombus
+ * Stops at any history entry that isn't an alignment step, such as a manual move
+ */
+function stepAlignmentBack() {
+    while (undoStack.length > 0 && undoStack[undoStack.length - 1].kind === 'alignmentStep') {
+        const entry = undoStack[undoStack.length - 1];
+        undo();
+
+        // Steps that moved no rhombus only consumed the queue, so keep going past them
+        if (entry.indices.length > 0) {
+            break;
+        }
+    }
+}
+
+/**
+ * Run the rest of the alignment immediately as a single history entry
+ */
+function finishAlignment() {
+    if (isAligned || isBlockedByPuzzle()) {
+        return;
+    }
+
+    if (!isAligning && !isAlignmentPaused) {
+        startProgressiveAlignment();
+    }
+
+    recordHistory('Finish alignment', null, () => {
+        let steps = 0;
+        while (stepAlignmentQueue(rhombPoints, rhombGraph, alignmentQueue)) {
+            steps++;
+        }
+
+        isAligning = false;
+        isAlignmentPaused = false;
+        isAligned = true;
+        reportDiagnostic(`Finished alignment in ${steps} steps`, 'info');
+    });
+    requestRecordingFrame();
+    updateAlignButton();
+    refreshAlignedTiling();
+}
+
+/**
+ * Count the rhombi aligned so far
+ * @returns {Object} Progress {aligned, total, queued}
+ */
+function getAlignmentProgress() {
+    return {
+        aligned: rhombPoints.filter(rhomb => rhomb.aligned).length,
+        total: rhombPoints.length,
+        queued: alignmentQueue.length
+    };
+}
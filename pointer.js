@@ -0,0 +1,283 @@
+/**
+ * Pointer input and multi-selection
+ * Mouse, touch and pen all arrive as pointer events on the canvas and are routed
+ * to the same press/drag/release handlers. One finger acts like the mouse, a
+ * second finger turns the gesture into a pan and pinch zoom, and a double tap
+ * toggles a lock like a double click. The selection persists between drags so
+ * a whole group can be moved at once.
+ */
+
+// Longest gap between the taps of a double tap, in milliseconds
+const DOUBLE_TAP_INTERVAL = 300;
+
+// Largest distance between the taps of a double tap, in canvas pixels
+const DOUBLE_TAP_DISTANCE = 20;
+
+// Indices of the selected rhombi
+let selectedIndices = new Set();
+
+// Whether presses toggle the selection and empty-space drags draw a selection box, for pens and
+// fingers that have no shift key
+let isSelectMode = false;
+
+// Selection box being dragged out, in canvas pixels {startX, startY, endX, endY}
+let selectionBox = null;
+
+// Canvas positions of the pointers currently pressed, by pointer id
+let activePointers = new Map();
+
+// Distance between two pinching fingers at the last move
+let pinchDistance = null;
+
+// Where the current press started, while it can still count as a tap
+let tapStart = null;
+
+// Time and position of the last tap, for double tap detection
+let lastTap = null;
+
+/**
+ * Listen for pointer events on the canvas
+ */
+function setupPointerInput() {
+    const canvas = sketchCanvas.elt;
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+}
+
+/**
+ * Convert a pointer event's position to canvas pixels, allowing for CSS scaling of the canvas
+ * @param {PointerEvent} event - Pointer event
+ * @returns {Object} Canvas position {x, y}
+ */
+function getPointerPosition(event) {
+    const rect = sketchCanvas.elt.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * width / rect.width,
+        y: (event.clientY - rect.top) * height / rect.height
+    };
+}
+
+/**
+ * Start a press, or switch to pinching when a second finger lands on empty space
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerDown(event) {
+    if (event.pointerType === 'mouse' && event.button !== 0) {
+        return;
+    }
+
+    event.preventDefault();
+    sketchCanvas.elt.setPointerCapture(event.pointerId);
+
+    const position = getPointerPosition(event);
+    activePointers.set(event.pointerId, position);
+
+    if (activePointers.size === 1) {
+        tapStart = position;
+        pressPointer(position.x, position.y, event.shiftKey || isSelectMode);
+        return;
+    }
+    tapStart = null;
+
+    // A second finger pinches, unless the first one is already moving rhombi
+    if (activePointers.size === 2 && !selectedRhomb) {
+        selectionBox = null;
+        isPanning = true;
+        pinchDistance = getPinchDistance();
+    }
+}
+
+/**
+ * Route pointer movement to dragging or pinching
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerMove(event) {
+    const previous = activePointers.get(event.pointerId);
+    if (!previous) {
+        return;
+    }
+
+    const position = getPointerPosition(event);
+    activePointers.set(event.pointerId, position);
+
+    if (tapStart && Math.hypot(position.x - tapStart.x, position.y - tapStart.y) > DOUBLE_TAP_DISTANCE) {
+        tapStart = null;
+    }
+
+    if (pinchDistance !== null) {
+        // Pan by half of each finger's movement, so the midpoint follows both fingers
+        panCamera((position.x - previous.x) / 2, (position.y - previous.y) / 2);
+
+        const distance = getPinchDistance();
+        const midpoint = getPinchMidpoint();
+        if (pinchDistance > 0) {
+            zoomAt(midpoint.x, midpoint.y, distance / pinchDistance);
+        }
+        pinchDistance = distance;
+        return;
+    }
+
+    // Extra fingers during a rhombus drag are ignored
+    if (event.pointerId !== activePointers.keys().next().value) {
+        return;
+    }
+
+    dragPointer(position.x, position.y, position.x - previous.x, position.y - previous.y);
+}
+
+/**
+ * End a press once the last pointer lifts
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerUp(event) {
+    if (!activePointers.has(event.pointerId)) {
+        return;
+    }
+
+    const position = activePointers.get(event.pointerId);
+    activePointers.delete(event.pointerId);
+
+    // Lifting one of two pinching fingers leaves the other panning
+    pinchDistance = null;
+    if (activePointers.size > 0) {
+        return;
+    }
+
+    const wasTap = tapStart !== null && event.type === 'pointerup';
+    tapStart = null;
+    releasePointer();
+
+    // Touch and pens get no dblclick event, so recognize double taps here
+    if (event.pointerType !== 'mouse' && wasTap) {
+        const now = millis();
+        if (lastTap && now - lastTap.time < DOUBLE_TAP_INTERVAL &&
+            Math.hypot(position.x - lastTap.x, position.y - lastTap.y) < DOUBLE_TAP_DISTANCE) {
+            toggleLockAt(position.x, position.y);
+            lastTap = null;
+        } else {
+            lastTap = { time: now, x: position.x, y: position.y };
+        }
+    }
+}
+
+/**
+ * Distance between the first two active pointers
+ * @returns {number} Distance in canvas pixels
+ */
+function getPinchDistance() {
+    const [a, b] = activePointers.values();
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Midpoint of the first two active pointers
+ * @returns {Object} Canvas position {x, y}
+ */
+function getPinchMidpoint() {
+    const [a, b] = activePointers.values();
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Replace the selection with a single rhombus
+ * @param {number} index - Rhombus index
+ */
+function selectOnly(index) {
+    selectedIndices = new Set([index]);
+}
+
+/**
+ * Add a rhombus to the selection, or remove it if already selected
+ * @param {number} index - Rhombus index
+ */
+function toggleSelection(index) {
+    if (selectedIndices.has(index)) {
+        selectedIndices.delete(index);
+    } else {
+        selectedIndices.add(index);
+    }
+}
+
+/**
+ * Deselect every rhombus
+ */
+function clearSelection() {
+    selectedIndices = new Set();
+    selectionBox = null;
+}
+
+/**
+ * Start dragging out a selection box
+ * @param {number} x - X coordinate in canvas pixels
+ * @param {number} y - Y coordinate in canvas pixels
+ */
+function startSelectionBox(x, y) {
+    selectionBox = { startX: x, startY: y, endX: x, endY: y };
+}
+
+/**
+ * Move the free corner of the selection box
+ * @param {number} x - X coordinate in canvas pixels
+ * @param {number} y - Y coordinate in canvas pixels
+ */
+function updateSelectionBox(x, y) {
+    selectionBox.endX = x;
+    selectionBox.endY = y;
+}
+
+/**
+ * Add the rhombi inside the selection box to the selection
+ */
+function finishSelectionBox() {
+    const start = screenToWorld(selectionBox.startX, selectionBox.startY);
+    const end = screenToWorld(selectionBox.endX, selectionBox.endY);
+    const indices = findRhombsInRect(rhombPoints, { x: start.x, y: start.y, width: end.x - start.x, height: end.y - start.y });
+
+    for (const index of indices) {
+        selectedIndices.add(index);
+    }
+    selectionBox = null;
+
+    reportDiagnostic(`Selected ${indices.length} rhombi by box, ${selectedIndices.size} in total`);
+}
+
+/**
+ * Outline the selected rhombi, in tiling coordinates
+ */
+function drawSelection() {
+    if (selectedIndices.size === 0) {
+        return;
+    }
+
+    push();
+    noFill();
+    stroke(33, 150, 243);
+    strokeWeight(screenWeight(3));
+    for (const index of selectedIndices) {
+        beginShape();
+        for (const point of rhombPoints[index].points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    }
+    pop();
+}
+
+/**
+ * Draw the selection box being dragged out, in screen coordinates
+ */
+function drawSelectionBox() {
+    if (!selectionBox) {
+        return;
+    }
+
+    push();
+    fill(33, 150, 243, 40);
+    stroke(33, 150, 243);
+    strokeWeight(1);
+    rectMode(CORNERS);
+    rect(selectionBox.startX, selectionBox.startY, selectionBox.endX, selectionBox.endY);
+    pop();
+}
@@ -0,0 +1,151 @@
+/**
+ * Puzzle mode
+ * Scrambles the rhombi with a seeded shuffle and times the user putting them
+ * back together by hand. Progress is the number of adjacency graph edges whose
+ * two rhombi share their edge, and the puzzle is solved once all of them do.
+ * Alignment would solve it outright, so it is off while a puzzle runs.
+ */
+
+// Side of the scramble square per square root of the rhombus count, in edge lengths
+const PUZZLE_SPREAD = 3;
+
+// Largest gap between two edges that still counts as joined, as a fraction of the edge length
+const PUZZLE_EDGE_TOLERANCE_RATIO = 0.01;
+
+// Current puzzle {seed, startTime, moves, satisfied, total, solvedTime}, or null outside puzzle mode
+let puzzle = null;
+
+/**
+ * Scramble the rhombi and start timing
+ * @param {number} seed - Seed for p5's random generator, so the same seed gives the same puzzle
+ */
+function startPuzzle(seed) {
+    // Remember the seed so a copied link carries it
+    RANDOM_SEED = seed;
+
+    // Stop any alignment in flight; the scramble can't be undone
+    isAligning = false;
+    isAlignmentPaused = false;
+    isAligned = false;
+    alignmentQueue = [];
+    clearSelection();
+    clearHistory();
+
+    randomSeed(seed);
+    const side = PUZZLE_SPREAD * SCALE * Math.sqrt(rhombPoints.length);
+    scrambleRhombuses(rhombPoints, { x: camera.x - side / 2, y: camera.y - side / 2, width: side, height: side }, () => random());
+
+    puzzle = { seed, startTime: millis(), moves: 0, satisfied: 0, total: 0, solvedTime: null };
+
+    updateAlignButton();
+    fitToContent();
+    refreshAlignedTiling();
+    showPanelMessage(`Puzzle ${seed}: drag the rhombi back into a tiling`, false);
+}
+
+/**
+ * Leave puzzle mode, keeping the rhombi where they are
+ */
+function endPuzzle() {
+    puzzle = null;
+}
+
+/**
+ * Check whether a puzzle is running and not yet solved
+ * @returns {boolean} True while the puzzle is unsolved
+ */
+function isPuzzleActive() {
+    return puzzle !== null && puzzle.solvedTime === null;
+}
+
+/**
+ * Refuse an action that would solve the puzzle for the user
+ * @returns {boolean} True if a puzzle is running and the action should be skipped
+ */
+function isBlockedByPuzzle() {
+    if (isPuzzleActive()) {
+        showPanelMessage('Alignment is off while a puzzle runs; give up to use it', true);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Count a finished drag as a move
+ */
+function recordPuzzleMove() {
+    if (isPuzzleActive()) {
+        puzzle.moves++;
+    }
+}
+
+/**
+ * Recount the joined edges and announce a solved puzzle
+ */
+function refreshPuzzleProgress() {
+    if (!isPuzzleActive()) {
+        return;
+    }
+
+    const { satisfied, total } = countSatisfiedEdges(rhombPoints, rhombGraph, SCALE * PUZZLE_EDGE_TOLERANCE_RATIO);
+    puzzle.satisfied = satisfied;
+    puzzle.total = total;
+
+    if (total > 0 && satisfied === total) {
+        puzzle.solvedTime = millis();
+
+        // A solved puzzle is a finished tiling, so views and decorations apply to it
+        isAligned = true;
+        updateAlignButton();
+        refreshTilingView();
+
+        const summary = `Solved puzzle ${puzzle.seed} in ${formatPuzzleTime(puzzle.solvedTime - puzzle.startTime)} ` +
+            `with ${puzzle.moves} moves!`;
+        console.log(summary);
+        showPanelMessage(summary, false);
+    }
+}
+
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} milliseconds - Duration
+ * @returns {string} Duration as m:ss
+ */
+function formatPuzzleTime(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Draw the timer, move count and joined edges in the top right corner
+ */
+function drawPuzzleStatus() {
+    if (!puzzle) {
+        return;
+    }
+
+    const boxWidth = 220;
+    const boxHeight = 112;
+    const x = width - boxWidth - 20;
+    const y = 80;
+    const elapsed = (puzzle.solvedTime ?? millis()) - puzzle.startTime;
+
+    push();
+    noStroke();
+    fill(255, 230);
+    rect(x, y, boxWidth, boxHeight, 8);
+
+    textSize(16);
+    textAlign(LEFT, TOP);
+    fill(0);
+    text(`Puzzle ${puzzle.seed}`, x + 12, y + 12);
+    text(`Time: ${formatPuzzleTime(elapsed)}   Moves: ${puzzle.moves}`, x + 12, y + 36);
+    text(`Edges joined: ${puzzle.satisfied} / ${puzzle.total}`, x + 12, y + 60);
+
+    if (puzzle.solvedTime !== null) {
+        fill(76, 175, 80);
+        textStyle(BOLD);
+        text('Solved!', x + 12, y + 84);
+    }
+    pop();
+}
@@ -0,0 +1,190 @@
+/**
+ * PNG export and alignment recording
+ * Saves the canvas at a multiple of its resolution, and records the alignment
+ * as a zipped PNG sequence or an animated GIF. While recording, every draw
+ * frame runs exactly one alignment step and every step is captured, so the
+ * result is the same whatever the playback speed or live frame rate.
+ */
+
+// Largest resolution multiplier for PNG export
+const MAX_EXPORT_MULTIPLIER = 8;
+
+// Largest canvas side, in device pixels, that browsers reliably allocate
+const MAX_CANVAS_SIDE = 16384;
+
+// Time each GIF frame shows, in hundredths of a second
+const GIF_FRAME_DELAY = 5;
+
+// Most frames and bytes a recording keeps before it stops and saves what it has,
+// since every frame stays in memory until the download is built
+const MAX_RECORDING_FRAMES = 10000;
+const MAX_RECORDING_BYTES = 256 * 1024 * 1024;
+
+// Recording formats and their labels
+const RECORDING_FORMATS = {
+    png: 'PNG sequence (zip)',
+    gif: 'Animated GIF'
+};
+
+// Recording in progress {format, frames, size, encoder, scratch, frameDue}, or null
+let recording = null;
+
+/**
+ * Check a PNG resolution multiplier
+ * @param {number} multiplier - Requested multiplier
+ * @returns {string|null} Error message, or null if the multiplier is usable
+ */
+function validateExportMultiplier(multiplier) {
+    if (!Number.isInteger(multiplier) || multiplier < 1 || multiplier > MAX_EXPORT_MULTIPLIER) {
+        return `Resolution must be a whole number from 1 to ${MAX_EXPORT_MULTIPLIER}`;
+    }
+    if (Math.max(width, height) * pixelDensity() * multiplier > MAX_CANVAS_SIDE) {
+        return `The canvas can't be larger than ${MAX_CANVAS_SIDE} pixels on a side`;
+    }
+    return null;
+}
+
+/**
+ * Decode a data URL into its bytes
+ * @param {string} dataUrl - Base64 data URL
+ * @returns {Uint8Array} Decoded bytes
+ */
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Render the current view at a multiple of the canvas resolution and download it as a PNG
+ * @param {number} multiplier - Resolution multiplier, checked with validateExportMultiplier
+ */
+function saveHighResolutionPng(multiplier) {
+    const density = pixelDensity();
+
+    pixelDensity(density * multiplier);
+    renderScene();
+    const png = dataUrlToBytes(sketchCanvas.elt.toDataURL('image/png'));
+    pixelDensity(density);
+    renderScene();
+
+    downloadFile('penrose-tiling.png', png, 'image/png');
+    showPanelMessage(`Saved a ${width * density * multiplier}×${height * density * multiplier} PNG`, false);
+}
+
+/**
+ * Start recording the alignment, starting or resuming it as needed
+ * @param {string} format - Key of RECORDING_FORMATS
+ */
+function startRecording(format) {
+    if (recording || isBlockedByPuzzle()) {
+        return;
+    }
+    if (isAligned) {
+        showPanelMessage('Reset the tiling to record its alignment', true);
+        return;
+    }
+
+    recording = {
+        format,
+        frames: [],
+        size: 0,
+        encoder: format === 'gif' ? createGifEncoder(width, height, GIF_FRAME_DELAY) : null,
+        scratch: null,
+        frameDue: true
+    };
+
+    if (!isAligning) {
+        toggleAlignment();
+    }
+    updateRecordButton();
+    showPanelMessage(`Recording the alignment as ${RECORDING_FORMATS[format]}`, false);
+}
+
+/**
+ * Check whether a recording is in progress
+ * @returns {boolean} True while recording
+ */
+function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Ask for the next drawn frame to be captured
+ */
+function requestRecordingFrame() {
+    if (recording) {
+        recording.frameDue = true;
+    }
+}
+
+/**
+ * Capture the frame just drawn if one is due, and finish once the alignment is complete
+ */
+function captureRecordingFrame() {
+    if (!recording || !recording.frameDue) {
+        return;
+    }
+    recording.frameDue = false;
+
+    let frameCount;
+    if (recording.format === 'gif') {
+        recording.encoder.addFrame(readCanvasPixels());
+        recording.size = recording.encoder.length;
+        frameCount = recording.encoder.frameCount;
+    } else {
+        const frame = dataUrlToBytes(sketchCanvas.elt.toDataURL('image/png'));
+        recording.frames.push(frame);
+        recording.size += frame.length;
+        frameCount = recording.frames.length;
+    }
+
+    if (isAligned) {
+        stopRecording();
+    } else if (frameCount >= MAX_RECORDING_FRAMES || recording.size >= MAX_RECORDING_BYTES) {
+        stopRecording(`Stopped at the recording limit of ${MAX_RECORDING_FRAMES} frames or ` +
+            `${MAX_RECORDING_BYTES / (1024 * 1024)} MB. `);
+    }
+}
+
+/**
+ * Read the canvas at one pixel per canvas unit, whatever the display's pixel density
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function readCanvasPixels() {
+    if (!recording.scratch) {
+        recording.scratch = document.createElement('canvas');
+        recording.scratch.width = width;
+        recording.scratch.height = height;
+    }
+
+    const context = recording.scratch.getContext('2d');
+    context.drawImage(sketchCanvas.elt, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * End the recording and download what was captured
+ * @param {string} [prefix] - Text to show before the saved message, such as why the recording stopped
+ */
+function stopRecording(prefix = '') {
+    if (!recording) {
+        return;
+    }
+
+    const { format, frames, encoder } = recording;
+    recording = null;
+    updateRecordButton();
+
+    if (format === 'gif') {
+        downloadFile('penrose-alignment.gif', encoder.finish(), 'image/gif');
+        showPanelMessage(`${prefix}Saved a GIF of ${encoder.frameCount} frames`, prefix !== '');
+    } else {
+        const files = frames.map((data, i) => ({ name: `frame-${String(i + 1).padStart(5, '0')}.png`, data }));
+        downloadFile('penrose-alignment-frames.zip', createZip(files), 'application/zip');
+        showPanelMessage(`${prefix}Saved ${frames.length} PNG frames`, prefix !== '');
+    }
+}
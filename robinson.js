@@ -0,0 +1,124 @@
+/**
+ * Robinson triangle and kite/dart conversion
+ * Splits every rhombus into two Robinson triangles along the diagonal through
+ * its outer and inner corners, then regroups the triangles into the kites and
+ * darts of the P2 tiling. Thick rhombi split into two obtuse triangles, which
+ * are too large for P2, so each of those is cut once more into an acute
+ * triangle and a smaller obtuse one. Acute triangles pair into kites and the
+ * small obtuse triangles into darts, two halves per tile, joined along the
+ * tile's axis. Which leg of a half is the axis follows from the outer corner,
+ * the same orientation that places the matching-rule decorations.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { findOuterVertex } = require('./decorations.js');
+    var { createVertexMerger } = require('./utils.js');
+    globalThis.GOLDEN_RATIO = require('./utils.js').GOLDEN_RATIO;
+}
+
+/**
+ * Split a rhombus into its two Robinson triangles
+ * Each triangle has its apex at one of the side corners and its base on the
+ * diagonal from the inner to the outer corner
+ * @param {Object} rhomb - Rhombus with points, intersection and type
+ * @param {number} index - Index of the rhombus, kept as the source of both triangles
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, families}
+ * @returns {Array} Triangles {type, points: [apex, inner, outer], source}, where type is
+ *   'acute' (thin rhombi) or 'obtuse' (thick rhombi); empty if the rhombus has no orientation
+ */
+function splitRhombToTriangles(rhomb, index, params) {
+    const outer = findOuterVertex(rhomb, params);
+    if (outer === null) {
+        return [];
+    }
+
+    const points = rhomb.points;
+    const type = rhomb.type === 'thick' ? 'obtuse' : 'acute';
+    const base = [points[(outer + 2) % 4], points[outer]];
+
+    return [points[(outer + 1) % 4], points[(outer + 3) % 4]].map(apex => ({
+        type,
+        points: [apex, ...base].map(p => [p[0], p[1]]),
+        source: index
+    }));
+}
+
+/**
+ * Decompose a rhombus tiling into Robinson triangles
+ * @param {Array} rhombs - All rhombi
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, families}
+ * @returns {Array} Triangles from splitRhombToTriangles, two per rhombus; empty if the
+ *   grid has no matching rules
+ */
+function decomposeToRobinsonTriangles(rhombs, params) {
+    return rhombs.flatMap((rhomb, index) => splitRhombToTriangles(rhomb, index, params));
+}
+
+/**
+ * Cut a large obtuse triangle into an acute triangle and an obtuse triangle φ times smaller
+ * The cut runs from the apex to the point of the base one leg length from the inner corner
+ * @param {Object} triangle - Obtuse triangle from splitRhombToTriangles
+ * @returns {Array} [acute, obtuse] halves {type, points: [apex, axis end, other end], source}
+ */
+function cutObtuseTriangle(triangle) {
+    const [apex, inner, outer] = triangle.points;
+    const t = 1 / GOLDEN_RATIO;
+    const cut = [inner[0] + t * (outer[0] - inner[0]), inner[1] + t * (outer[1] - inner[1])];
+
+    return [
+        { type: 'acute', points: [inner, apex, cut], source: triangle.source },
+        { type: 'obtuse', points: [cut, outer, apex], source: triangle.source }
+    ];
+}
+
+/**
+ * Reassemble Robinson triangles into kites and darts
+ * Two halves form a tile when they share their apex and axis; halves at the
+ * edge of the patch whose partner is missing stay as half tiles
+ * @param {Array} triangles - Triangles from decomposeToRobinsonTriangles
+ * @param {number} tolerance - Distance below which two points count as the same vertex
+ * @returns {Array} Tiles {type, points, sources, half}, where type is 'kite' or 'dart', points
+ *   lists the four corners (three for half tiles) and sources the rhombus indices of the halves
+ */
+function composeKitesAndDarts(triangles, tolerance) {
+    // Acute triangles of thin rhombi are kite halves already, with the axis along their inner leg
+    const halves = triangles.flatMap(triangle => triangle.type === 'obtuse' ? cutObtuseTriangle(triangle) : [triangle]);
+    const { findVertex } = createVertexMerger(tolerance);
+
+    const partners = new Map();
+    const tiles = [];
+    for (const half of halves) {
+        const type = half.type === 'acute' ? 'kite' : 'dart';
+        const key = `${type}|${findVertex(half.points[0])}|${findVertex(half.points[1])}`;
+
+        const partner = partners.get(key);
+        if (!partner) {
+            partners.set(key, half);
+            continue;
+        }
+
+        // The two other ends sit either side of the shared axis
+        partners.delete(key);
+        tiles.push({
+            type,
+            points: [half.points[0], half.points[2], half.points[1], partner.points[2]],
+            sources: [partner.source, half.source],
+            half: false
+        });
+    }
+
+    for (const [key, half] of partners) {
+        tiles.push({ type: key.split('|')[0], points: half.points, sources: [half.source], half: true });
+    }
+
+    return tiles;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitRhombToTriangles,
+        decomposeToRobinsonTriangles,
+        cutObtuseTriangle,
+        composeKitesAndDarts
+    };
+}
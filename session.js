@@ -0,0 +1,147 @@
+/**
+ * Session persistence
+ * Serializes grid parameters and each rhombus's points and flags to a versioned
+ * JSON document, and validates documents against a regenerated tiling
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { generateTiling, validateParameters, getFamilyCount } = require('./utils.js');
+}
+
+// Current session schema version
+const SESSION_VERSION = 1;
+
+/**
+ * Build a session document from the current state
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale, families}
+ * @param {Array} rhombs - All rhombi
+ * @param {Object} state - Alignment state {isAligned}
+ * @returns {Object} Session document
+ */
+function serializeSession(params, rhombs, state) {
+    return {
+        version: SESSION_VERSION,
+        params: {
+            families: getFamilyCount(params),
+            gammas: [...params.gammas],
+            numLines: params.numLines,
+            spacing: params.spacing,
+            scale: params.scale
+        },
+        isAligned: state.isAligned,
+        rhombs: rhombs.map(rhomb => ({
+            families: [rhomb.intersection.line1.family, rhomb.intersection.line2.family],
+            points: rhomb.points.map(p => [p[0], p[1]]),
+            aligned: rhomb.aligned,
+            locked: rhomb.locked
+        }))
+    };
+}
+
+/**
+ * Check that a value is an array of four finite [x, y] points
+ * @param {*} points - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidRhombPoints(points) {
+    return Array.isArray(points) && points.length === 4 && points.every(
+        p => Array.isArray(p) && p.length === 2 && Number.isFinite(p[0]) && Number.isFinite(p[1])
+    );
+}
+
+/**
+ * Validate a session document against the tiling its parameters regenerate
+ * @param {Object} session - Parsed session document
+ * @returns {string|null} Error message, or null if the session is valid
+ */
+function validateSession(session) {
+    if (!session || typeof session !== 'object') {
+        return 'Session must be a JSON object';
+    }
+    if (session.version !== SESSION_VERSION) {
+        return `Unsupported session version: ${session.version} (expected ${SESSION_VERSION})`;
+    }
+    if (!session.params || typeof session.params !== 'object') {
+        return 'Session is missing grid parameters';
+    }
+
+    const paramsError = validateParameters(session.params);
+    if (paramsError) {
+        return `Invalid grid parameters: ${paramsError}`;
+    }
+    if (typeof session.isAligned !== 'boolean') {
+        return 'Session has an invalid alignment flag';
+    }
+    if (!Array.isArray(session.rhombs)) {
+        return 'Session is missing rhombi';
+    }
+
+    // The rhombi must line up one-to-one with a regenerated tiling
+    const { rhombs } = generateTiling(session.params);
+    if (session.rhombs.length !== rhombs.length) {
+        return `Session has ${session.rhombs.length} rhombi but its grid parameters generate ${rhombs.length}`;
+    }
+
+    for (let i = 0; i < rhombs.length; i++) {
+        const saved = session.rhombs[i];
+        const line1 = rhombs[i].intersection.line1;
+        const line2 = rhombs[i].intersection.line2;
+
+        if (!saved || !Array.isArray(saved.families) ||
+            saved.families[0] !== line1.family || saved.families[1] !== line2.family) {
+            return `Rhombus ${i} does not match the grid parameters`;
+        }
+        if (!isValidRhombPoints(saved.points)) {
+            return `Rhombus ${i} has invalid points`;
+        }
+        if (typeof saved.aligned !== 'boolean' || typeof saved.locked !== 'boolean') {
+            return `Rhombus ${i} has invalid flags`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse and validate session JSON text
+ * @param {string} text - JSON text
+ * @returns {Object} {session} on success, or {error} with a message
+ */
+function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (err) {
+        return { error: `Invalid JSON: ${err.message}` };
+    }
+
+    const error = validateSession(session);
+    return error ? { error } : { session };
+}
+
+/**
+ * Copy saved points and flags onto freshly generated rhombi
+ * @param {Object} session - Validated session document
+ * @param {Array} rhombs - Rhombi generated from the session's parameters
+ */
+function applySessionRhombs(session, rhombs) {
+    for (let i = 0; i < rhombs.length; i++) {
+        const saved = session.rhombs[i];
+        for (let j = 0; j < 4; j++) {
+            rhombs[i].points[j][0] = saved.points[j][0];
+            rhombs[i].points[j][1] = saved.points[j][1];
+        }
+        rhombs[i].aligned = saved.aligned;
+        rhombs[i].locked = saved.locked;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_VERSION,
+        serializeSession,
+        validateSession,
+        parseSession,
+        applySessionRhombs
+    };
+}
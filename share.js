@@ -0,0 +1,116 @@
+/**
+ * Shareable links
+ * Encodes the grid parameters, view mode and random seed as URL query
+ * parameters and reads them back with validation, so a link reproduces the
+ * tiling it was copied from. Missing or invalid parameters keep their defaults.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { validateParameters } = require('./utils.js');
+}
+
+// Query parameter name of each state field
+const URL_PARAMETER_NAMES = {
+    gammas: 'gammas',
+    numLines: 'lines',
+    spacing: 'spacing',
+    scale: 'scale',
+    viewMode: 'view',
+    seed: 'seed'
+};
+
+/**
+ * Parse a query parameter as a number, rejecting blanks
+ * @param {string} text - Parameter value
+ * @returns {number} Parsed number, NaN if blank or not numeric
+ */
+function parseUrlNumber(text) {
+    return text.trim() === '' ? NaN : Number(text);
+}
+
+/**
+ * Collect the grid parameters of a shared state for validation
+ * @param {Object} state - Shared state
+ * @returns {Object} Grid parameters {gammas, numLines, spacing, scale, families}
+ */
+function getUrlStateParameters(state) {
+    return {
+        gammas: state.gammas,
+        numLines: state.numLines,
+        spacing: state.spacing,
+        scale: state.scale,
+        families: Array.isArray(state.gammas) ? state.gammas.length : undefined
+    };
+}
+
+/**
+ * Read the shared state from a query string
+ * Grid parameters are checked one at a time with validateParameters, so a bad one only
+ * costs that parameter and the message is the one the panel would show
+ * @param {string} search - Query string, with or without the leading '?'
+ * @param {Object} defaults - Valid state used for missing or invalid parameters
+ *   {gammas, numLines, spacing, scale, viewMode, seed}
+ * @param {Array} viewModes - Accepted view mode names
+ * @returns {Object} Result {state, errors, provided}, where errors describes each ignored
+ *   parameter and provided lists the state fields the query set
+ */
+function parseUrlState(search, defaults, viewModes) {
+    const query = new URLSearchParams(search);
+    const state = { ...defaults, gammas: [...defaults.gammas] };
+    const errors = [];
+    const provided = [];
+
+    // Check returns an error message, or null to accept the value
+    const read = (field, parse, check) => {
+        const text = query.get(URL_PARAMETER_NAMES[field]);
+        if (text === null) {
+            return;
+        }
+        const value = parse(text);
+        const error = check(value);
+        if (error) {
+            errors.push(`${URL_PARAMETER_NAMES[field]}: ${error}`);
+        } else {
+            state[field] = value;
+            provided.push(field);
+        }
+    };
+    const checkGrid = field => value => validateParameters(getUrlStateParameters({ ...state, [field]: value }));
+
+    read('gammas', text => text.split(',').map(parseUrlNumber), checkGrid('gammas'));
+    read('numLines', parseUrlNumber, checkGrid('numLines'));
+    read('spacing', parseUrlNumber, checkGrid('spacing'));
+    read('scale', parseUrlNumber, checkGrid('scale'));
+    read('viewMode', text => text,
+        mode => viewModes.includes(mode) ? null : `View must be one of ${viewModes.join(', ')}`);
+    read('seed', parseUrlNumber, seed => Number.isInteger(seed) ? null : 'Seed must be an integer');
+
+    return { state, errors, provided };
+}
+
+/**
+ * Encode the shared state as a query string
+ * Numbers are written in full so the link regenerates exactly the same grid
+ * @param {Object} state - State {gammas, numLines, spacing, scale, viewMode, seed}
+ * @returns {string} Query string with a leading '?'
+ */
+function encodeUrlState(state) {
+    const query = new URLSearchParams();
+    query.set(URL_PARAMETER_NAMES.gammas, state.gammas.map(String).join(','));
+    query.set(URL_PARAMETER_NAMES.numLines, String(state.numLines));
+    query.set(URL_PARAMETER_NAMES.spacing, String(state.spacing));
+    query.set(URL_PARAMETER_NAMES.scale, String(state.scale));
+    query.set(URL_PARAMETER_NAMES.viewMode, state.viewMode);
+    query.set(URL_PARAMETER_NAMES.seed, String(state.seed));
+
+    // Keep the commas between gammas readable
+    return `?${query.toString().replace(/%2C/g, ',')}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        URL_PARAMETER_NAMES,
+        parseUrlState,
+        encodeUrlState
+    };
+}
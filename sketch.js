@@ -1,23 +1,33 @@
 /**
  * Penrose tiling generator using pentagrid method
- * Creates rhombus patterns based on intersecting line families
+ * Creates rhombus patterns based on intersecting line families; other family
+ * counts give the 8-fold, 12-fold and other multigrid tilings
+ * Geometry lives in utils.js; this file owns the sketch state, rendering and interaction
  */
 
-// Mathematical constants
-const PHI = (1 + Math.sqrt(5)) / 2; // Golden ratio
-
 // Grid configuration
 const GRID_SIZE = 1200;
-const NUM_LINES = 1; // Number of lines per grid family
-const SPACING = 400; // Spacing between parallel lines
-const SCALE = 55;
+let FAMILIES = 5; // Number of grid families
+let NUM_LINES = 1; // Number of lines per grid family
+let SPACING = 400; // Spacing between parallel lines
+let SCALE = 55;
+
+// Seed for p5's random generator, shared in links and used as the default puzzle seed
+let RANDOM_SEED = 0;
 
 // Visual constants
 const BACKGROUND_LIGHT = 240;
 const BACKGROUND_WHITE = 255;
+const THICK_FILL = '#FFD54F';
+const THIN_FILL = '#4FC3F7';
+const TILE_FILL_ALPHA = 180;
 
-// Color palette for grid families
-const colors = [
+// Snapping, as fractions of the rhombus edge length
+const SNAP_DISTANCE_RATIO = 0.4;
+const EDGE_CONTACT_RATIO = 0.1;
+
+// Color palette for the pentagrid families
+const PENTAGRID_COLORS = [
     [255, 0, 0],    // Red
     [0, 255, 0],    // Green
     [0, 0, 255],    // Blue
@@ -25,6 +35,9 @@ const colors = [
     [128, 0, 128]   // Purple
 ];
 
+// Colors of the current grid families
+let colors = PENTAGRID_COLORS;
+
 // Gamma values for line positioning
 let GAMMAS;
 
@@ -32,7 +45,16 @@ let GAMMAS;
 let gridLines = [];
 let rhombPoints = [];
 let intersections = [];
+let singularPoints = [];
 let selectedRhomb = null;
+let selectedIndex = -1;
+
+// Neighbor the dragged rhombus will snap to on release
+let snapPreview = null;
+
+// Thick/thin counts for the stats box, over all rhombi and over the central patch
+let rhombStats = { thick: 0, thin: 0, ratio: null };
+let centralRhombStats = { thick: 0, thin: 0, ratio: null };
 
 // Graph structure for adjacency
 // Each entry maps rhomb index to array of {neighborIndex, sharedLine} objects
@@ -41,56 +63,172 @@ let rhombGraph = new Map();
 // Canvas center coordinates (calculated once)
 let centerX, centerY;
 
+// Canvas element, to tell canvas clicks from clicks on the buttons and panel
+let sketchCanvas;
+
 // Alignment state
 let isAligned = false;
 let alignButton;
+let exactButton;
+let undoButton;
+let redoButton;
+let fitButton;
+let resetViewButton;
 
 // Progressive alignment state
 let alignmentQueue = [];
 let isAligning = false;
+let isAlignmentPaused = false;
+
+// Matching-rule decorations drawn on top of the tiles
+let showConwayArcs = false;
+let showAmmannBars = false;
+
+// Whether the rhombi came from inflating or deflating rather than from the grid
+let isSubstituted = false;
+
+// Session autosave to localStorage
+const AUTOSAVE_KEY = 'penrose-diy-session';
+const AUTOSAVE_ENABLED_KEY = 'penrose-diy-autosave';
+const AUTOSAVE_INTERVAL_FRAMES = 120;
+let autosaveEnabled = false;
+
+// Pending history entry for the current drag
+let dragHistoryEntry = null;
+let hasDragged = false;
 
 /**
  * Initialize the Penrose tiling
  * Sets up canvas, generates grid families, finds intersections, and creates rhombi
  */
 function setup() {
-    randomSeed(0);
-    createCanvas(GRID_SIZE, GRID_SIZE);
+    sketchCanvas = createCanvas(GRID_SIZE, GRID_SIZE);
     background(BACKGROUND_LIGHT);
 
     // Calculate center coordinates once
     centerX = width / 2;
     centerY = height / 2;
 
-    // Initialize gamma values for pentagrid positioning
+    // Initialize gamma values for pentagrid positioning, then let a shared link override them
     initializeGammas();
+    const urlState = readUrlState();
+    randomSeed(RANDOM_SEED);
 
-    // Generate all grid line families
-    generateGridFamilies();
-
-    // Calculate intersections and create rhombi
-    findIntersections();
-    generateRhombi();
-
-    // Build adjacency graph
-    buildRhombGraph();
-
-    console.log(`Generated ${rhombPoints.length} rhombi from ${intersections.length} intersections`);
+    // Generate grid, intersections, rhombi and adjacency graph
+    createTiling();
 
     // Create align button
     alignButton = createButton('Align Rhombuses');
     alignButton.position(20, 20);
     alignButton.mousePressed(toggleAlignment);
-    alignButton.style('padding', '15px 30px');
-    alignButton.style('font-size', '20px');
-    alignButton.style('font-weight', 'bold');
-    alignButton.style('cursor', 'pointer');
-    alignButton.style('background-color', '#4CAF50');
-    alignButton.style('color', 'white');
-    alignButton.style('border', 'none');
-    alignButton.style('border-radius', '8px');
-    alignButton.style('box-shadow', '0 4px 6px rgba(0,0,0,0.3)');
-    alignButton.style('transition', 'all 0.3s');
+    styleButton(alignButton, '#4CAF50');
+
+    // Create exact tiling button (de Bruijn dual method)
+    exactButton = createButton('Exact Tiling');
+    exactButton.position(280, 20);
+    exactButton.mousePressed(showExactTiling);
+    styleButton(exactButton, '#2196F3');
+
+    // Create undo/redo buttons
+    undoButton = createButton('Undo');
+    undoButton.position(490, 20);
+    undoButton.mousePressed(undo);
+    styleButton(undoButton, '#607D8B');
+
+    redoButton = createButton('Redo');
+    redoButton.position(620, 20);
+    redoButton.mousePressed(redo);
+    styleButton(redoButton, '#607D8B');
+
+    // Create camera buttons
+    fitButton = createButton('Fit');
+    fitButton.position(750, 20);
+    fitButton.mousePressed(fitToContent);
+    styleButton(fitButton, '#9C27B0');
+
+    resetViewButton = createButton('Reset View');
+    resetViewButton.position(860, 20);
+    resetViewButton.mousePressed(resetView);
+    styleButton(resetViewButton, '#9C27B0');
+
+    // Create parameter panel for live regeneration
+    createParameterPanel();
+    if (singularPoints.length > 0) {
+        reportSingularPoints();
+    }
+    if (urlState.errors.length > 0) {
+        showPanelMessage(`Ignored link settings: ${urlState.errors.join('; ')}`, true);
+    }
+
+    // Mouse, touch and pen input on the canvas
+    setupPointerInput();
+
+    // Pick up where the last autosaved session left off, unless a link asked for something else
+    autosaveEnabled = readStorage(AUTOSAVE_ENABLED_KEY) === 'true';
+    if (autosaveEnabled && urlState.provided.length === 0) {
+        restoreAutosave();
+    }
+}
+
+/**
+ * Apply the settings in the page's query parameters to the grid, view and random seed
+ * @returns {Object} Result of parseUrlState {state, errors, provided}
+ */
+function readUrlState() {
+    const defaults = { ...getGridParameters(), viewMode, seed: RANDOM_SEED };
+    const result = parseUrlState(window.location.search, defaults, Object.keys(VIEW_MODES));
+    const { state } = result;
+
+    GAMMAS = state.gammas;
+    FAMILIES = state.gammas.length;
+    NUM_LINES = state.numLines;
+    SPACING = state.spacing;
+    SCALE = state.scale;
+    RANDOM_SEED = state.seed;
+    viewMode = state.viewMode;
+
+    return result;
+}
+
+/**
+ * Copy a link to the current grid, view and random seed to the clipboard
+ */
+function copyShareLink() {
+    if (isSubstituted) {
+        showPanelMessage('Links store grid tilings; regenerate to share one', true);
+        return;
+    }
+
+    const search = encodeUrlState({ ...getGridParameters(), viewMode, seed: RANDOM_SEED });
+    const url = `${window.location.origin}${window.location.pathname}${search}`;
+
+    // The clipboard API only exists in secure contexts, not on plain http
+    if (!navigator.clipboard) {
+        showPanelMessage(`Couldn't copy the link: ${url}`, true);
+        return;
+    }
+
+    navigator.clipboard.writeText(url)
+        .then(() => showPanelMessage('Link copied to the clipboard', false))
+        .catch(() => showPanelMessage(`Couldn't copy the link: ${url}`, true));
+}
+
+/**
+ * Apply the shared button styling
+ * @param {Object} button - p5 button element
+ * @param {string} color - Background color
+ */
+function styleButton(button, color) {
+    button.style('padding', '15px 30px');
+    button.style('font-size', '20px');
+    button.style('font-weight', 'bold');
+    button.style('cursor', 'pointer');
+    button.style('background-color', color);
+    button.style('color', 'white');
+    button.style('border', 'none');
+    button.style('border-radius', '8px');
+    button.style('box-shadow', '0 4px 6px rgba(0,0,0,0.3)');
+    button.style('transition', 'all 0.3s');
 }
 
 /**
@@ -104,72 +242,680 @@ function initializeGammas() {
 }
 
 /**
- * Generate all five families of parallel grid lines
+ * Collect the current grid parameters for the geometry core
+ * @returns {Object} Grid parameters {gammas, numLines, spacing, scale}
+ */
+function getGridParameters() {
+    return { gammas: GAMMAS, numLines: NUM_LINES, spacing: SPACING, scale: SCALE, families: FAMILIES };
+}
+
+/**
+ * Pick one color per grid family, keeping the classic palette for the pentagrid
+ * @param {number} families - Number of families
+ * @returns {Array} RGB colors [r, g, b], one per family
+ */
+function generateFamilyColors(families) {
+    if (families === PENTAGRID_COLORS.length) {
+        return PENTAGRID_COLORS;
+    }
+
+    // Fully saturated hues spread evenly around the color wheel
+    return Array.from({ length: families }, (_, k) => {
+        const hue = (360 * k) / families;
+        const channel = n => {
+            const position = (n + hue / 60) % 6;
+            return Math.round(255 * (1 - Math.max(0, Math.min(position, 4 - position, 1))));
+        };
+        return [channel(5), channel(3), channel(1)];
+    });
+}
+
+/**
+ * Get the fill color of a rhombus type
+ * Shapes other than thick and thin get a color generated from their angle
+ * @param {string} type - Type from getRhombType
+ * @returns {string} CSS color
+ */
+function getRhombFill(type) {
+    if (type === 'thick') {
+        return THICK_FILL;
+    }
+    if (type === 'thin') {
+        return THIN_FILL;
+    }
+    return `hsl(${Math.round(getRhombTypeAngle(type) * 2)}, 70%, 70%)`;
+}
+
+/**
+ * List the rhombus types in the current tiling, widest first
+ * @returns {Array} Types from getRhombType
+ */
+function getRhombTypes() {
+    return Object.keys(rhombStats.byType).sort((a, b) => getRhombTypeAngle(b) - getRhombTypeAngle(a));
+}
+
+/**
+ * Generate the full tiling from the current grid parameters
+ */
+function createTiling() {
+    const tiling = generateTiling(getGridParameters());
+    colors = generateFamilyColors(FAMILIES);
+
+    gridLines = tiling.gridLines;
+    intersections = tiling.intersections;
+    rhombPoints = tiling.rhombs;
+    rhombGraph = tiling.rhombGraph;
+    singularPoints = tiling.singularPoints;
+    rhombStats = countRhombTypes(rhombPoints);
+    // Only the region inside the outermost lines looks like the infinite tiling
+    centralRhombStats = countRhombTypes(rhombPoints, NUM_LINES * SPACING);
+    isSubstituted = false;
+
+    console.log(`Generated ${rhombPoints.length} rhombi from ${intersections.length} intersections`);
+}
+
+/**
+ * Rebuild the tiling in place after a parameter change
+ */
+function regenerateTiling() {
+    // Drop any alignment or selection tied to the old rhombi
+    isAligned = false;
+    isAligning = false;
+    isAlignmentPaused = false;
+    alignmentQueue = [];
+    selectedRhomb = null;
+    selectedIndex = -1;
+    snapPreview = null;
+    clearSelection();
+    clearHistory();
+    clearDiagnostics();
+    endPuzzle();
+    stopRecording();
+
+    createTiling();
+
+    updateAlignButton();
+    refreshAlignedTiling();
+}
+
+/**
+ * Replace the aligned tiling with its deflation or inflation
+ * The camera scales with the tiling, so the rhombi shrink or grow on screen
+ * @param {boolean} inflate - True to inflate, false to deflate
  */
-function generateGridFamilies() {
+function substituteTiling(inflate) {
+    if (isBlockedByPuzzle()) {
+        return;
+    }
+    if (!isAligned) {
+        showPanelMessage('Finish the alignment before inflating or deflating', true);
+        return;
+    }
+
+    const params = getGridParameters();
+    const tiling = inflate ? inflateTiling(rhombPoints, params) : deflateTiling(rhombPoints, params);
+    if (!tiling) {
+        showPanelMessage('Only a pentagrid whose gammas sum to an integer can be inflated or deflated', true);
+        return;
+    }
+    if (tiling.rhombs.length === 0) {
+        showPanelMessage('No complete group of rhombi is left to inflate', true);
+        return;
+    }
+
+    // Rhombi and history entries refer to the old tiling
+    selectedRhomb = null;
+    selectedIndex = -1;
+    snapPreview = null;
+    clearSelection();
+    clearHistory();
+
+    // The new rhombi have no grid, only stand-in intersections for reset
     gridLines = [];
-    for (let familyIndex = 0; familyIndex < 5; familyIndex++) {
-        gridLines.push(findGridFamily(familyIndex));
+    intersections = tiling.intersections;
+    rhombPoints = tiling.rhombs;
+    rhombGraph = tiling.rhombGraph;
+    singularPoints = [];
+    rhombStats = countRhombTypes(rhombPoints);
+    // Substitution drops the grid's ragged border, so the whole patch counts as central
+    centralRhombStats = rhombStats;
+    isSubstituted = true;
+
+    scaleCamera(inflate ? 1 / GOLDEN_RATIO : GOLDEN_RATIO);
+    refreshAlignedTiling();
+    showPanelMessage(`${inflate ? 'Inflated' : 'Deflated'} into ${rhombPoints.length} rhombi`, false);
+}
+
+/**
+ * Recompute everything derived from the aligned tiling after it changes
+ */
+function refreshAlignedTiling() {
+    refreshAlignmentConflicts();
+    refreshTilingView();
+    refreshVertexStars();
+    refreshPuzzleProgress();
+    clearIntegrityReport();
+}
+
+/**
+ * Export the current tiling as an SVG file
+ * An alternate view exports its pieces in place of the rhombi
+ * @param {Object} options - Export options {includeGrid, includeIntersections, cropToCanvas, filled}
+ */
+function saveTilingSvg(options) {
+    const svg = exportSvg(
+        { rhombs: rhombPoints, gridLines, intersections, colors, pieces: isShowingPieces() ? viewPieces : undefined },
+        {
+            includeGrid: options.includeGrid,
+            includeIntersections: options.includeIntersections,
+            viewport: options.cropToCanvas ? getCameraViewport() : undefined,
+            style: options.filled ? {
+                thickFill: THICK_FILL,
+                thinFill: THIN_FILL,
+                fills: { ...Object.fromEntries(getRhombTypes().map(type => [type, getRhombFill(type)])), ...PIECE_FILLS }
+            } : {}
+        }
+    );
+
+    downloadFile('penrose.svg', svg, 'image/svg+xml');
+}
+
+/**
+ * Build a session document from the current state
+ * @returns {Object} Session document
+ */
+function getSession() {
+    return serializeSession(getGridParameters(), rhombPoints, { isAligned });
+}
+
+/**
+ * Download the current session as a JSON file
+ */
+function saveSessionFile() {
+    if (isSubstituted) {
+        showPanelMessage('Sessions store grid tilings; regenerate to save one', true);
+        return;
     }
+    downloadFile('penrose-session.json', JSON.stringify(getSession(), null, 2), 'application/json');
 }
 
 /**
- * Generate rhombi from all intersections
+ * Load a session from JSON text, showing why it was rejected if invalid
+ * @param {string} text - Session JSON text
+ * @returns {boolean} True if the session was loaded
  */
-function generateRhombi() {
-    for (const intersection of intersections) {
-        findRhomb(intersection);
+function loadSessionText(text) {
+    const { session, error } = parseSession(text);
+
+    if (error) {
+        showPanelMessage(error, true);
+        return false;
+    }
+
+    loadSession(session);
+    if (singularPoints.length > 0) {
+        reportSingularPoints(false);
+    } else {
+        showPanelMessage(`Loaded session with ${rhombPoints.length} rhombi`, false);
+    }
+    return true;
+}
+
+/**
+ * Replace the current state with a validated session
+ * @param {Object} session - Session document accepted by validateSession
+ */
+function loadSession(session) {
+    FAMILIES = getFamilyCount(session.params);
+    GAMMAS = [...session.params.gammas];
+    NUM_LINES = session.params.numLines;
+    SPACING = session.params.spacing;
+    SCALE = session.params.scale;
+
+    regenerateTiling();
+    applySessionRhombs(session, rhombPoints);
+
+    isAligned = session.isAligned;
+    updateAlignButton();
+    updatePanelInputs();
+    refreshAlignedTiling();
+}
+
+/**
+ * Turn localStorage autosave on or off
+ * @param {boolean} enabled - Whether to autosave
+ */
+function setAutosave(enabled) {
+    autosaveEnabled = enabled;
+
+    try {
+        localStorage.setItem(AUTOSAVE_ENABLED_KEY, String(enabled));
+        if (!enabled) {
+            localStorage.removeItem(AUTOSAVE_KEY);
+        }
+    } catch (err) {
+        autosaveEnabled = false;
+        autosaveCheckbox.checked(false);
+        showPanelMessage(`The browser blocks storage, so autosave can't be turned on: ${err.message}`, true);
+        return;
+    }
+
+    if (enabled) {
+        autosaveSession();
+    }
+}
+
+/**
+ * Read a localStorage entry
+ * Browsers that block storage, such as with cookies disabled, throw on any access
+ * @param {string} key - Storage key
+ * @returns {string|null} Stored text, or null if there is none or storage is blocked
+ */
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (err) {
+        console.warn(`Could not read ${key} from localStorage: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Save the current session to localStorage
+ */
+function autosaveSession() {
+    // A session is checked against its regenerated grid, which a substituted tiling won't match
+    if (isSubstituted) {
+        return;
+    }
+
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(getSession()));
+    } catch (err) {
+        // Large tilings can exceed the storage quota
+        console.warn(`Autosave failed: ${err.message}`);
+    }
+}
+
+/**
+ * Restore the session saved in localStorage, if any
+ */
+function restoreAutosave() {
+    const text = readStorage(AUTOSAVE_KEY);
+    if (text) {
+        loadSessionText(text);
     }
 }
 
+/**
+ * Trigger a browser download of text or binary content
+ * @param {string} filename - Name of the downloaded file
+ * @param {string|Uint8Array} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Main draw loop - renders the Penrose tiling
  */
 function draw() {
-    background(BACKGROUND_WHITE);
-
-    // Process one alignment step per frame if aligning
+    // Process the alignment steps or relaxation passes due this frame
     if (isAligning) {
-        stepAlignment();
+        runAlignmentFrame();
+    }
+    if (relaxation) {
+        runRelaxationFrame();
+    }
+
+    if (autosaveEnabled && frameCount % AUTOSAVE_INTERVAL_FRAMES === 0) {
+        autosaveSession();
     }
 
-    // Translate to center for all drawing operations
+    renderScene();
+    captureRecordingFrame();
+}
+
+/**
+ * Draw the tiling and its overlays onto the canvas
+ */
+function renderScene() {
+    background(BACKGROUND_WHITE);
+
+    // Draw in tiling coordinates through the pan/zoom camera
     push();
-    translate(centerX, centerY);
+    applyCamera();
 
     // Draw all visual elements
     drawGrid();
     drawIntersections();
-    drawRhomb();
+    if (isShowingPieces()) {
+        drawTilingView();
+    } else {
+        drawRhomb();
+    }
+    drawSelection();
+    drawSingularPoints();
+    drawDecorations();
+    drawVertexStars();
+    drawConflicts();
+    drawIntegrityDefects();
+    drawDebugOverlay();
 
     pop();
+
+    drawSelectionBox();
+
+    drawAlignmentProgress();
+    drawStats();
+    drawPuzzleStatus();
+    drawVertexStarTable();
+    drawDebugPanel();
 }
 
 /**
- * Handle mouse press events for rhombus selection
+ * Draw the grid lines with family-specific colors
  */
-function mousePressed() {
-    // Convert mouse coordinates to canvas center-relative coordinates
-    const canvasX = mouseX - centerX;
-    const canvasY = mouseY - centerY;
+function drawGrid() {
+    strokeWeight(screenWeight(1));
 
-    // Check if mouse is within canvas bounds
-    if (!isWithinBounds(mouseX, mouseY)) {
-        selectedRhomb = null;
+    for (const familyLines of gridLines) {
+        for (const gridLine of familyLines) {
+            const color = colors[gridLine.family];
+            if (color && color.length >= 3) {
+                stroke(color[0], color[1], color[2], 100);
+                line(gridLine.x1, gridLine.y1, gridLine.x2, gridLine.y2);
+            }
+        }
+    }
+}
+
+/**
+ * Draw intersection points as small circles
+ */
+function drawIntersections() {
+    fill(0);
+    strokeWeight(screenWeight(3));
+
+    const size = screenWeight(2);
+    for (const intersection of intersections) {
+        ellipse(intersection.x, intersection.y, size, size);
+    }
+}
+
+/**
+ * Ring every singular point, where the rhombi of three or more lines overlap
+ */
+function drawSingularPoints() {
+    if (singularPoints.length === 0) {
         return;
     }
 
-    // Find the first rhombus containing the mouse position
+    push();
+    noFill();
+    stroke(233, 30, 99);
+    strokeWeight(screenWeight(3));
+
+    const size = screenWeight(24);
+    for (const point of singularPoints) {
+        ellipse(point.x, point.y, size, size);
+    }
+    pop();
+}
+
+/**
+ * Draw all rhombus shapes, filled by thick/thin type
+ */
+function drawRhomb() {
+    stroke(0);
+    strokeWeight(screenWeight(1));
+
+    const fills = new Map();
+    for (const type of getRhombTypes()) {
+        const fillColor = color(getRhombFill(type));
+        fillColor.setAlpha(TILE_FILL_ALPHA);
+        fills.set(type, fillColor);
+    }
+
     for (const rhomb of rhombPoints) {
-        if (isPointInPolygon(canvasX, canvasY, rhomb)) {
-            console.log('Rhombus selected');
-            selectedRhomb = rhomb;
+        if (!rhomb.points || rhomb.points.length === 0) {
+            continue;
+        }
+
+        fill(fills.get(rhomb.type));
+
+        // Illegal placements get a heavy red outline
+        if (rhomb.illegal) {
+            stroke(244, 67, 54);
+            strokeWeight(screenWeight(3));
+        } else {
+            stroke(0);
+            strokeWeight(screenWeight(1));
+        }
+
+        beginShape();
+        for (const point of rhomb.points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    }
+
+    drawSnapPreview();
+}
+
+/**
+ * Draw the enabled matching-rule decorations on every rhombus
+ * Outer Conway arcs are red and inner ones blue; Ammann bars take their family's color
+ */
+function drawDecorations() {
+    if (!showConwayArcs && !showAmmannBars) {
+        return;
+    }
+
+    const params = getGridParameters();
+    push();
+    noFill();
+    strokeWeight(screenWeight(2));
+
+    for (const rhomb of rhombPoints) {
+        if (showConwayArcs) {
+            for (const { kind, center, radius, start, stop } of getConwayArcs(rhomb, params)) {
+                if (kind === 'outer') {
+                    stroke(244, 67, 54);
+                } else {
+                    stroke(33, 150, 243);
+                }
+                arc(center[0], center[1], 2 * radius, 2 * radius, start, stop);
+            }
+        }
+
+        if (showAmmannBars) {
+            for (const { family, v1, v2 } of getAmmannBars(rhomb, params)) {
+                const color = colors[family];
+                stroke(color[0], color[1], color[2]);
+                line(v1[0], v1[1], v2[0], v2[1]);
+            }
+        }
+    }
+
+    pop();
+}
+
+/**
+ * Clear illegal placement flags once every rhombus has been placed by the tiling itself
+ */
+function clearIllegalFlags() {
+    for (const rhomb of rhombPoints) {
+        rhomb.illegal = false;
+    }
+}
+
+/**
+ * Highlight the target edge and snapped outlines while dragging
+ */
+function drawSnapPreview() {
+    if (!snapPreview || !selectedRhomb) {
+        return;
+    }
+
+    push();
+
+    // Ghost outlines of the dragged rhombi at the snapped position
+    noFill();
+    stroke(76, 175, 80, 160);
+    strokeWeight(screenWeight(2));
+    for (const index of selectedIndices) {
+        beginShape();
+        for (const point of rhombPoints[index].points) {
+            vertex(point[0] + snapPreview.offset.x, point[1] + snapPreview.offset.y);
+        }
+        endShape(CLOSE);
+    }
+
+    // Target edge on the neighbor
+    stroke(76, 175, 80);
+    strokeWeight(screenWeight(5));
+    const { v1, v2 } = snapPreview.edge;
+    line(v1[0], v1[1], v2[0], v2[1]);
+
+    pop();
+}
+
+/**
+ * Draw the stats box with thick/thin counts and their ratio
+ */
+function drawStats() {
+    const types = getRhombTypes();
+    const showRatio = FAMILIES === 5;
+
+    const boxWidth = 290;
+    const boxHeight = getStatsBoxHeight();
+    const x = 20;
+    const y = height - boxHeight - 20;
+
+    push();
+    noStroke();
+    fill(255, 230);
+    rect(x, y, boxWidth, boxHeight, 8);
+
+    textSize(16);
+    textAlign(LEFT, TOP);
+
+    let rowY = y + 12;
+    for (const type of types) {
+        fill(getRhombFill(type));
+        rect(x + 12, rowY + 2, 14, 14);
+
+        const angle = getRhombTypeAngle(type);
+        const label = type === 'thick' || type === 'thin'
+            ? `${type[0].toUpperCase()}${type.slice(1)} (${angle}°)`
+            : `${angle}° rhombus`;
+        fill(0);
+        text(`${label}: ${rhombStats.byType[type]}`, x + 34, rowY);
+        rowY += 26;
+    }
+
+    // The whole-grid ratio is always 1, so show the ratio of the central patch
+    if (showRatio) {
+        const ratio = centralRhombStats.ratio === null ? '—' : centralRhombStats.ratio.toFixed(3);
+        text(`Central ratio: ${ratio} (φ ≈ ${GOLDEN_RATIO.toFixed(3)})`, x + 12, rowY);
+        rowY += 26;
+    }
+
+    if (singularPoints.length > 0) {
+        fill(233, 30, 99);
+        text(`Singular points: ${singularPoints.length}`, x + 12, rowY);
+    }
+    pop();
+}
+
+/**
+ * Height of the stats box, which has one row per rhombus type plus the ratio and singular point rows
+ * @returns {number} Height in pixels
+ */
+function getStatsBoxHeight() {
+    const rows = getRhombTypes().length + (FAMILIES === 5 ? 1 : 0) + (singularPoints.length > 0 ? 1 : 0);
+    return 18 + rows * 26;
+}
+
+/**
+ * Draw the alignment progress bar with the aligned count and queue length, above the stats box
+ */
+function drawAlignmentProgress() {
+    const { aligned, total, queued } = getAlignmentProgress();
+    const boxWidth = 290;
+    const boxHeight = 62;
+    const x = 20;
+    const y = height - getStatsBoxHeight() - 20 - boxHeight - 10;
+
+    push();
+    noStroke();
+    fill(255, 230);
+    rect(x, y, boxWidth, boxHeight, 8);
+
+    // Progress bar
+    const barWidth = boxWidth - 24;
+    fill(224);
+    rect(x + 12, y + 12, barWidth, 10, 5);
+    fill(76, 175, 80);
+    rect(x + 12, y + 12, total > 0 ? barWidth * aligned / total : 0, 10, 5);
+
+    textSize(16);
+    textAlign(LEFT, TOP);
+    fill(0);
+    text(`Aligned: ${aligned} / ${total}   Queue: ${queued}`, x + 12, y + 32);
+    pop();
+}
+
+/**
+ * Handle a press on the canvas for rhombus selection
+ * Pressing a rhombus grabs it along with the rest of the selection; pressing empty
+ * space pans the view, or starts a selection box with shift held or in select mode
+ * @param {number} x - X coordinate in canvas pixels
+ * @param {number} y - Y coordinate in canvas pixels
+ * @param {boolean} toggle - Whether the press adds to the selection (shift held or select mode)
+ */
+function pressPointer(x, y, toggle) {
+    // Convert pointer coordinates to tiling coordinates
+    const { x: canvasX, y: canvasY } = screenToWorld(x, y);
+
+    // Find the first rhombus containing the pointer position
+    const index = rhombPoints.findIndex(rhomb => isPointInPolygon(canvasX, canvasY, rhomb));
+
+    if (index === -1) {
+        selectedRhomb = null;
+        if (toggle) {
+            startSelectionBox(x, y);
+        } else {
+            clearSelection();
+            isPanning = true;
+        }
+        return;
+    }
+
+    if (toggle) {
+        toggleSelection(index);
+        if (!selectedIndices.has(index)) {
             return;
         }
+    } else if (!selectedIndices.has(index)) {
+        selectOnly(index);
     }
 
-    // No rhombus found at mouse position
-    selectedRhomb = null;
+    reportDiagnostic(`Rhombus ${index} grabbed with ${selectedIndices.size - 1} others`);
+    selectedRhomb = rhombPoints[index];
+    selectedIndex = index;
+    dragHistoryEntry = beginHistoryEntry(selectedIndices.size > 1 ? 'Move rhombi' : 'Move rhombus', [...selectedIndices]);
+    hasDragged = false;
 }
 
 /**
@@ -183,130 +929,305 @@ function isWithinBounds(x, y) {
 }
 
 /**
- * Handle mouse drag events for moving selected rhombus
+ * Handle pointer movement while pressed: pan, grow the selection box, or move the selected rhombi
+ * @param {number} x - X coordinate in canvas pixels
+ * @param {number} y - Y coordinate in canvas pixels
+ * @param {number} deltaX - Horizontal movement since the last event, in canvas pixels
+ * @param {number} deltaY - Vertical movement since the last event, in canvas pixels
  */
-function mouseDragged() {
+function dragPointer(x, y, deltaX, deltaY) {
+    if (isPanning) {
+        panCamera(deltaX, deltaY);
+        return;
+    }
+
+    if (selectionBox) {
+        updateSelectionBox(x, y);
+        return;
+    }
+
     if (!selectedRhomb) {
         return;
     }
 
-    // Calculate mouse movement delta
-    const deltaX = mouseX - pmouseX;
-    const deltaY = mouseY - pmouseY;
+    // Move every selected rhombus by the movement in tiling units
+    for (const index of selectedIndices) {
+        const rhomb = rhombPoints[index];
+        for (const point of rhomb.points) {
+            point[0] += deltaX / camera.zoom;
+            point[1] += deltaY / camera.zoom;
+        }
 
-    // Move all points of the selected rhombus
-    for (const point of selectedRhomb.points) {
-        point[0] += deltaX;
-        point[1] += deltaY;
+        // Mark as locked so alignment won't move it
+        rhomb.locked = true;
+        rhomb.aligned = true; // Also mark as aligned to act as an anchor
     }
+    hasDragged = true;
 
-    // Mark as locked so alignment won't move it
-    selectedRhomb.locked = true;
-    selectedRhomb.aligned = true; // Also mark as aligned to act as an anchor
+    // Preview the neighbor edge the group would snap to
+    snapPreview = findGroupSnapTarget(rhombPoints, rhombGraph, [...selectedIndices], SCALE * SNAP_DISTANCE_RATIO);
 }
 
 /**
- * Handle mouse release events
+ * Handle the end of a press
  */
-function mouseReleased() {
+function releasePointer() {
+    if (selectionBox) {
+        finishSelectionBox();
+    }
+
+    if (selectedRhomb && hasDragged) {
+        dropRhombs([...selectedIndices]);
+    }
+
+    // Record the finished drag as one history entry
+    if (dragHistoryEntry && hasDragged) {
+        commitHistoryEntry(dragHistoryEntry);
+        recordPuzzleMove();
+        refreshAlignedTiling();
+    }
+
     selectedRhomb = null;
+    selectedIndex = -1;
+    snapPreview = null;
+    dragHistoryEntry = null;
+    hasDragged = false;
+    isPanning = false;
+}
+
+/**
+ * Snap dropped rhombi onto the closest neighbor outside the group and flag illegal placements
+ * @param {Array} indices - Indices of the dropped rhombi
+ */
+function dropRhombs(indices) {
+    if (snapPreview) {
+        for (const index of indices) {
+            realignRhombus(rhombPoints[index], snapPreview.offset);
+        }
+        reportDiagnostic(`Snapped rhombus ${snapPreview.index} to ${snapPreview.neighborIndex}`);
+    }
+
+    // Touching a rhombus that isn't a graph neighbor can never be part of the tiling
+    const allContacts = findIllegalContacts(rhombPoints, rhombGraph, indices, SCALE * EDGE_CONTACT_RATIO);
+    for (const index of indices) {
+        const rhomb = rhombPoints[index];
+        const contacts = allContacts.get(index);
+        rhomb.illegal = contacts.length > 0;
+
+        if (rhomb.illegal) {
+            reportDiagnostic(`Illegal placement: rhombus ${index} touches non-neighbors ${contacts.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Toggle the lock on a rhombus with a double click
+ * Locking pins it in place as an alignment anchor; unlocking lets alignment move it again
+ * @param {MouseEvent} event - Mouse event
+ */
+function doubleClicked(event) {
+    if (!isCanvasEvent(event) || !isWithinBounds(mouseX, mouseY)) {
+        return;
+    }
+
+    toggleLockAt(mouseX, mouseY);
+}
+
+/**
+ * Toggle the lock on the rhombus under a canvas position
+ * @param {number} x - X coordinate in canvas pixels
+ * @param {number} y - Y coordinate in canvas pixels
+ */
+function toggleLockAt(x, y) {
+    const { x: canvasX, y: canvasY } = screenToWorld(x, y);
+
+    const index = rhombPoints.findIndex(rhomb => isPointInPolygon(canvasX, canvasY, rhomb));
+    if (index === -1) {
+        return;
+    }
+
+    const rhomb = rhombPoints[index];
+    recordHistory(rhomb.locked ? 'Unlock rhombus' : 'Lock rhombus', [index], () => {
+        rhomb.locked = !rhomb.locked;
+        rhomb.aligned = rhomb.locked;
+    });
+}
+
+/**
+ * Handle keyboard shortcuts
+ * Ctrl+Z (Cmd+Z) undoes, Ctrl+Shift+Z (Cmd+Shift+Z) redoes, Escape clears the selection
+ * @param {KeyboardEvent} event - Key event
+ */
+function keyPressed(event) {
+    // Keys typed into the panel's fields belong to them, including their own undo
+    if (!event || isTextEntryTarget(event.target)) {
+        return;
+    }
+
+    if (event.key === 'Escape') {
+        clearSelection();
+        return;
+    }
+
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+        return;
+    }
+
+    if (event.shiftKey) {
+        redo();
+    } else {
+        undo();
+    }
+    return false;
+}
+
+/**
+ * Check whether a key event comes from a form field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, selects and text areas
+ */
+function isTextEntryTarget(target) {
+    return Boolean(target && target.tagName) && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
 }
 
 /**
  * Toggle alignment of rhombuses
  */
 function toggleAlignment() {
-    if (!isAligned && !isAligning) {
+    if (isBlockedByPuzzle()) {
+        return;
+    }
+
+    if (isAligning) {
+        pauseAlignment();
+    } else if (isAlignmentPaused) {
+        // Resume a paused alignment
+        isAlignmentPaused = false;
+        isAligning = true;
+        updateAlignButton();
+    } else if (!isAligned && !isAligning) {
         // Start progressive alignment
         startProgressiveAlignment();
-        alignButton.html('Aligning...');
-        alignButton.style('background-color', '#FF9800');
+        updateAlignButton();
     } else if (isAligned) {
         // Reset to original positions
-        resetRhombuses();
-        isAligned = false;
-        isAligning = false;
-        alignmentQueue = [];
+        recordHistory('Reset', null, () => {
+            resetRhombuses(rhombPoints);
+            clearIllegalFlags();
+            isAligned = false;
+            isAligning = false;
+            alignmentQueue = [];
+        });
+        updateAlignButton();
+        refreshAlignedTiling();
+    }
+}
+
+/**
+ * Update the align button label and color to match the alignment state
+ */
+function updateAlignButton() {
+    if (isAligning) {
+        alignButton.html('Pause Alignment');
+        alignButton.style('background-color', '#FF9800');
+    } else if (isAlignmentPaused) {
+        alignButton.html('Resume Alignment');
+        alignButton.style('background-color', '#FF9800');
+    } else if (isAligned) {
+        alignButton.html('Reset to Original');
+        alignButton.style('background-color', '#f44336');
+    } else {
         alignButton.html('Align Rhombuses');
         alignButton.style('background-color', '#4CAF50');
     }
 }
 
+/**
+ * Jump straight to the exact tiling computed with the dual method
+ */
+function showExactTiling() {
+    if (isBlockedByPuzzle()) {
+        return;
+    }
+    if (isSubstituted) {
+        showPanelMessage('The exact tiling is computed from the grid; regenerate to return to it', true);
+        return;
+    }
+
+    recordHistory('Exact tiling', null, () => {
+        // Stop any progressive alignment in flight
+        isAligning = false;
+        isAlignmentPaused = false;
+        alignmentQueue = [];
+
+        applyDualTiling(rhombPoints, getGridParameters());
+        clearIllegalFlags();
+
+        isAligned = true;
+    });
+    updateAlignButton();
+    refreshAlignedTiling();
+}
+
 /**
  * Start the progressive alignment process
  */
 function startProgressiveAlignment() {
     // Count how many rhombuses are already locked
     const lockedCount = rhombPoints.filter(r => r.locked).length;
-    console.log(`Starting alignment with ${lockedCount} locked rhombuses`);
+    reportDiagnostic(`Starting alignment with ${lockedCount} locked rhombuses`);
 
-    // If there are locked rhombuses, start from all of them
-    // Otherwise start from rhombus 0
-    if (lockedCount > 0) {
-        alignmentQueue = [];
-        for (let i = 0; i < rhombPoints.length; i++) {
-            if (rhombPoints[i].locked) {
-                alignmentQueue.push(i);
-                console.log(`Using locked rhombus ${i} as seed`);
-            }
-        }
-    } else {
-        alignmentQueue = [0];
-        rhombPoints[0].aligned = true;
-    }
+    // Seed from all locked rhombuses, or from rhombus 0 if there are none
+    recordHistory('Start alignment', lockedCount > 0 ? [] : [0], () => {
+        alignmentQueue = createAlignmentQueue(rhombPoints);
+        isAligning = true;
+    });
 
-    isAligning = true;
     loop(); // Start the draw loop
 }
 
 /**
- * Process one alignment step per frame
+ * Process one alignment queue step as its own history entry
+ * @returns {Object|null} Step from stepAlignmentQueue, or null once the alignment is complete
  */
 function stepAlignment() {
-    if (alignmentQueue.length === 0) {
+    // Peek at the rhombus this step will move so the history entry covers it
+    const next = alignmentQueue.length > 0
+        ? getUnalignedAdjacentTiles(rhombPoints, rhombGraph, alignmentQueue[0])[0]
+        : null;
+    const entry = beginHistoryEntry('Alignment step', next ? [next.neighborIndex] : [], 'alignmentStep');
+
+    const queueLength = alignmentQueue.length;
+    const step = stepAlignmentQueue(rhombPoints, rhombGraph, alignmentQueue);
+    if (step) {
+        entry.queueStep = describeQueueStep(step, queueLength);
+    }
+    clearIntegrityReport();
+
+    if (!step) {
         // Alignment complete
         isAligning = false;
+        isAlignmentPaused = false;
         isAligned = true;
-        alignButton.html('Reset to Original');
-        alignButton.style('background-color', '#f44336');
-        console.log('Alignment complete!');
-        return;
+        commitHistoryEntry(entry);
+        updateAlignButton();
+        reportDiagnostic('Alignment complete!', 'info');
+        requestRecordingFrame();
+        refreshAlignedTiling();
+        return null;
     }
 
-    // Get the next rhombus to process
-    const startingTileIndex = alignmentQueue.shift();
-    const startingTile = rhombPoints[startingTileIndex];
-
-    // Find the (up to 4) tiles that are adjacent to it and unaligned
-    const adjacentTileData = getUnalignedAdjacentTiles(startingTileIndex);
-
-    // Align one neighbor per step
-    if (adjacentTileData.length > 0) {
-        const data = adjacentTileData[0]; // Take only the first neighbor
-        const adjacentIndex = data.neighborIndex;
-        const sharedLine = data.sharedLine;
-        const direction = data.direction;
-        const adjacentTile = rhombPoints[adjacentIndex];
-
-        // Skip if this rhombus is locked (manually moved)
-        if (!adjacentTile.locked) {
-            // Move it to touch this tile using the shared line information and direction
-            const offset = calculateAlignmentOffset(startingTile, adjacentTile, sharedLine, direction);
-            realignRhombus(adjacentTile, offset);
-            console.log(`Aligned rhombus ${adjacentIndex} to ${startingTileIndex}`);
-        } else {
-            console.log(`Skipped locked rhombus ${adjacentIndex}`);
-        }
-
-        // Mark it as aligned (whether locked or not)
-        adjacentTile.aligned = true;
+    commitHistoryEntry(entry);
 
-        // Add it to the queue
-        alignmentQueue.push(adjacentIndex);
+    if (step.neighborIndex === null) {
+        return step;
+    }
+    requestRecordingFrame();
 
-        // Add remaining neighbors back to the front of the queue for next frames
-        for (let i = 1; i < adjacentTileData.length; i++) {
-            alignmentQueue.unshift(startingTileIndex);
-        }
+    if (step.offset) {
+        reportDiagnostic(`Aligned rhombus ${step.neighborIndex} to ${step.startIndex}`);
+    } else {
+        reportDiagnostic(`Skipped locked rhombus ${step.neighborIndex}`);
     }
-}
\ No newline at end of file
+    return step;
+}
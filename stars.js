@@ -0,0 +1,121 @@
+/**
+ * Vertex stars
+ * Converts the aligned tiling to kites and darts, where Conway's seven vertex
+ * stars are defined, and marks every vertex with the color of its star. Illegal
+ * vertices get a larger red marker, and a table in the corner tallies each kind.
+ */
+
+// Marker colors of the vertex stars
+const VERTEX_STAR_COLORS = {
+    sun: [255, 193, 7],
+    star: [156, 39, 176],
+    ace: [33, 150, 243],
+    deuce: [0, 150, 136],
+    jack: [139, 195, 74],
+    queen: [233, 30, 99],
+    king: [121, 85, 72],
+    illegal: [244, 67, 54]
+};
+
+// Whether vertex stars are classified and drawn
+let showVertexStars = false;
+
+// Classification of the current tiling from classifyVertexStars, or null if there is none
+let vertexStars = null;
+
+/**
+ * Reclassify the vertices after the rhombi change
+ * Only a completed alignment can be converted to kites and darts
+ */
+function refreshVertexStars() {
+    if (!showVertexStars || !isAligned) {
+        vertexStars = null;
+        return;
+    }
+
+    const tolerance = SCALE * PIECE_TOLERANCE_RATIO;
+    const tiles = composeKitesAndDarts(decomposeToRobinsonTriangles(rhombPoints, getGridParameters()), tolerance);
+    vertexStars = tiles.length > 0 ? classifyVertexStars(tiles, tolerance) : null;
+
+    if (vertexStars) {
+        logDebug(`Classified ${vertexStars.vertices.length} vertices, ${vertexStars.counts.illegal} illegal`);
+    }
+}
+
+/**
+ * Turn the vertex star markers and table on or off
+ * @param {boolean} show - Whether to show them
+ */
+function setShowVertexStars(show) {
+    showVertexStars = show;
+    refreshVertexStars();
+
+    if (!show) {
+        return;
+    }
+    if (!isAligned) {
+        showPanelMessage('Finish the alignment to classify its vertices', true);
+    } else if (!vertexStars) {
+        showPanelMessage('Only a pentagrid whose gammas sum to an integer can be classified', true);
+    }
+}
+
+/**
+ * Mark each classified vertex, in tiling coordinates
+ */
+function drawVertexStars() {
+    if (!vertexStars) {
+        return;
+    }
+
+    push();
+    stroke(0);
+    strokeWeight(screenWeight(1));
+    for (const { point, type } of vertexStars.vertices) {
+        const size = screenWeight(type === 'illegal' ? 16 : 9);
+        fill(...VERTEX_STAR_COLORS[type]);
+        circle(point[0], point[1], size);
+    }
+    pop();
+}
+
+/**
+ * Draw the frequency table of the vertex stars below the top right corner
+ */
+function drawVertexStarTable() {
+    if (!vertexStars) {
+        return;
+    }
+
+    const { counts, vertices } = vertexStars;
+    const types = Object.keys(VERTEX_STAR_COLORS);
+    const rowHeight = 22;
+    const boxWidth = 220;
+    const boxHeight = 16 + (types.length + 1) * rowHeight;
+    const x = width - boxWidth - 20;
+    const y = 210;
+
+    push();
+    noStroke();
+    fill(255, 230);
+    rect(x, y, boxWidth, boxHeight, 8);
+
+    textSize(16);
+    textAlign(LEFT, TOP);
+    fill(0);
+    text('Vertex stars', x + 12, y + 10);
+
+    types.forEach((type, i) => {
+        const rowY = y + 10 + (i + 1) * rowHeight;
+        const share = vertices.length > 0 ? (100 * counts[type] / vertices.length).toFixed(1) : '0.0';
+
+        fill(...VERTEX_STAR_COLORS[type]);
+        circle(x + 18, rowY + 8, 12);
+        fill(0);
+        text(type, x + 32, rowY);
+        textAlign(RIGHT, TOP);
+        text(`${counts[type]}  (${share}%)`, x + boxWidth - 12, rowY);
+        textAlign(LEFT, TOP);
+    });
+    pop();
+}
@@ -0,0 +1,217 @@
+/**
+ * SVG export of the tiling, grid and overlays
+ * Pure serializer: takes the current tiling state and returns an SVG document string
+ */
+
+// Default tile styling
+const SVG_DEFAULT_STYLE = {
+    stroke: '#000000',
+    strokeWidth: 1,
+    thickFill: 'none',
+    thinFill: 'none',
+    fills: {},
+    gridOpacity: 0.4,
+    intersectionRadius: 1
+};
+
+// Margin around the tiles when no viewport is given
+const SVG_MARGIN = 10;
+
+/**
+ * Format a coordinate for SVG output
+ * @param {number} value - Number to format
+ * @returns {string} Value rounded to 3 decimals
+ */
+function formatSvgNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Calculate the bounding box of a set of rhombi
+ * @param {Array} rhombs - Rhombi with points arrays
+ * @returns {Object} Bounding box {x, y, width, height}
+ */
+function getRhombBounds(rhombs) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (const rhomb of rhombs) {
+        for (const point of rhomb.points) {
+            minX = Math.min(minX, point[0]);
+            minY = Math.min(minY, point[1]);
+            maxX = Math.max(maxX, point[0]);
+            maxY = Math.max(maxY, point[1]);
+        }
+    }
+
+    if (minX === Infinity) {
+        return { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Check whether a rhombus overlaps a viewport
+ * @param {Object} rhomb - Rhombus with points array
+ * @param {Object} viewport - Viewport {x, y, width, height}
+ * @returns {boolean} True if the rhombus bounding box intersects the viewport
+ */
+function isRhombInViewport(rhomb, viewport) {
+    const bounds = getRhombBounds([rhomb]);
+    return bounds.x <= viewport.x + viewport.width &&
+        bounds.x + bounds.width >= viewport.x &&
+        bounds.y <= viewport.y + viewport.height &&
+        bounds.y + bounds.height >= viewport.y;
+}
+
+/**
+ * Serialize the tiling to an SVG document
+ * Tiles are grouped by family pair, and each group is tagged with its rhombus type
+ * @param {Object} tiling - Tiling state {rhombs, gridLines, intersections, colors}, plus optional
+ *   pieces from an alternate view to draw in place of the rhombi
+ * @param {Object} options - Export options
+ * @param {Object} [options.viewport] - Crop region {x, y, width, height}; defaults to the tile bounds
+ * @param {boolean} [options.includeGrid] - Draw grid lines in their family colors
+ * @param {boolean} [options.includeIntersections] - Draw intersection dots
+ * @param {Object} [options.style] - Overrides for SVG_DEFAULT_STYLE; fills holds the fill of any
+ *   rhombus type other than thick and thin
+ * @returns {string} SVG document
+ */
+function exportSvg(tiling, options = {}) {
+    const { rhombs, gridLines = [], intersections = [], colors = [] } = tiling;
+    const style = { ...SVG_DEFAULT_STYLE, ...options.style };
+
+    let viewport = options.viewport;
+    if (!viewport) {
+        const bounds = getRhombBounds(rhombs);
+        viewport = {
+            x: bounds.x - SVG_MARGIN,
+            y: bounds.y - SVG_MARGIN,
+            width: bounds.width + 2 * SVG_MARGIN,
+            height: bounds.height + 2 * SVG_MARGIN
+        };
+    }
+
+    const viewBox = [viewport.x, viewport.y, viewport.width, viewport.height].map(formatSvgNumber).join(' ');
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox}" ` +
+            `width="${formatSvgNumber(viewport.width)}" height="${formatSvgNumber(viewport.height)}">`
+    ];
+
+    // Grid lines, one group per family
+    if (options.includeGrid) {
+        lines.push(`  <g id="grid" stroke-width="${formatSvgNumber(style.strokeWidth)}" opacity="${style.gridOpacity}">`);
+        for (const familyLines of gridLines) {
+            if (familyLines.length === 0) {
+                continue;
+            }
+            const family = familyLines[0].family;
+            const color = colors[family] || [0, 0, 0];
+            lines.push(`    <g class="family-${family}" stroke="rgb(${color.join(',')})">`);
+            for (const gridLine of familyLines) {
+                const coords = [gridLine.x1, gridLine.y1, gridLine.x2, gridLine.y2].map(formatSvgNumber);
+                lines.push(`      <line x1="${coords[0]}" y1="${coords[1]}" x2="${coords[2]}" y2="${coords[3]}" />`);
+            }
+            lines.push('    </g>');
+        }
+        lines.push('  </g>');
+    }
+
+    // Intersection dots
+    if (options.includeIntersections) {
+        lines.push('  <g id="intersections" fill="#000000">');
+        for (const intersection of intersections) {
+            const cx = formatSvgNumber(intersection.x);
+            const cy = formatSvgNumber(intersection.y);
+            lines.push(`    <circle cx="${cx}" cy="${cy}" r="${formatSvgNumber(style.intersectionRadius)}" />`);
+        }
+        lines.push('  </g>');
+    }
+
+    if (tiling.pieces) {
+        lines.push(...serializePieces(tiling.pieces, viewport, options, style));
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+
+    // Tiles, grouped by family pair
+    const groups = new Map();
+    for (let i = 0; i < rhombs.length; i++) {
+        const rhomb = rhombs[i];
+        if (options.viewport && !isRhombInViewport(rhomb, viewport)) {
+            continue;
+        }
+
+        const families = `${rhomb.intersection.line1.family}-${rhomb.intersection.line2.family}`;
+        if (!groups.has(families)) {
+            groups.set(families, { type: rhomb.type, tiles: [] });
+        }
+        groups.get(families).tiles.push({ index: i, rhomb });
+    }
+
+    lines.push(`  <g id="tiles" stroke="${style.stroke}" stroke-width="${formatSvgNumber(style.strokeWidth)}" ` +
+        'stroke-linejoin="round">');
+    for (const [families, group] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+        const fill = { thick: style.thickFill, thin: style.thinFill, ...style.fills }[group.type] || 'none';
+        lines.push(`    <g class="${group.type} families-${families}" data-families="${families}" ` +
+            `data-type="${group.type}" fill="${fill}">`);
+        for (const { index, rhomb } of group.tiles) {
+            const points = rhomb.points.map(p => `${formatSvgNumber(p[0])},${formatSvgNumber(p[1])}`).join(' ');
+            lines.push(`      <polygon data-index="${index}" points="${points}" />`);
+        }
+        lines.push('    </g>');
+    }
+    lines.push('  </g>');
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize the pieces of an alternate view, such as kites and darts, grouped by type
+ * Every polygon records the indices of the rhombi it was cut from
+ * @param {Array} pieces - Pieces {type, points, sources}
+ * @param {Object} viewport - Visible region {x, y, width, height}
+ * @param {Object} options - Export options, as for exportSvg
+ * @param {Object} style - Resolved style
+ * @returns {Array} SVG lines for the tiles group
+ */
+function serializePieces(pieces, viewport, options, style) {
+    const groups = new Map();
+    for (const piece of pieces) {
+        if (options.viewport && !isRhombInViewport(piece, viewport)) {
+            continue;
+        }
+        if (!groups.has(piece.type)) {
+            groups.set(piece.type, []);
+        }
+        groups.get(piece.type).push(piece);
+    }
+
+    const lines = [`  <g id="tiles" stroke="${style.stroke}" stroke-width="${formatSvgNumber(style.strokeWidth)}" ` +
+        'stroke-linejoin="round">'];
+    for (const [type, group] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+        lines.push(`    <g class="${type}" data-type="${type}" fill="${style.fills[type] || 'none'}">`);
+        for (const piece of group) {
+            const points = piece.points.map(p => `${formatSvgNumber(p[0])},${formatSvgNumber(p[1])}`).join(' ');
+            lines.push(`      <polygon data-sources="${piece.sources.join(' ')}" points="${points}" />`);
+        }
+        lines.push('    </g>');
+    }
+    lines.push('  </g>');
+
+    return lines;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SVG_DEFAULT_STYLE,
+        getRhombBounds,
+        isRhombInViewport,
+        exportSvg
+    };
+}
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    generateTiling,
+    alignRhombuses,
+    getAngleBetweenLines,
+    createAlignmentQueue,
+    stepAlignmentQueue,
+    findAlignmentConflicts,
+    relaxAlignment,
+    countSatisfiedEdges,
+    scrambleRhombuses
+} = require('../utils.js');
+
+const TOLERANCE = 1e-6;
+
+/**
+ * Count vertices shared by two rhombi
+ */
+function countSharedVertices(rhomb1, rhomb2) {
+    let count = 0;
+    for (const p of rhomb1.points) {
+        for (const q of rhomb2.points) {
+            if (Math.hypot(p[0] - q[0], p[1] - q[1]) < TOLERANCE) {
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+/**
+ * Interior angles of a rhombus in degrees, rounded
+ */
+function interiorAngles(rhomb) {
+    const angles = [];
+    for (let i = 0; i < 4; i++) {
+        const prev = rhomb.points[(i + 3) % 4];
+        const current = rhomb.points[i];
+        const next = rhomb.points[(i + 1) % 4];
+        const v1 = [prev[0] - current[0], prev[1] - current[1]];
+        const v2 = [next[0] - current[0], next[1] - current[1]];
+        const cos = (v1[0] * v2[0] + v1[1] * v2[1]) / (Math.hypot(...v1) * Math.hypot(...v2));
+        angles.push(Math.round(Math.acos(cos) * 180 / Math.PI));
+    }
+    return angles.sort((a, b) => a - b);
+}
+
+test.before(() => {
+    // Keep test output readable
+    console.log = () => {};
+    console.warn = () => {};
+});
+
+for (const numLines of [1, 2]) {
+    test(`alignRhombuses produces an edge-to-edge tiling (numLines = ${numLines})`, () => {
+        const { rhombs, rhombGraph } = generateTiling({
+            gammas: [0.17, 0.21, 0.28, 0.3, 0.04],
+            numLines,
+            spacing: 400,
+            scale: 55
+        });
+
+        const alignedCount = alignRhombuses(rhombs, rhombGraph);
+        assert.strictEqual(alignedCount, rhombs.length);
+
+        // Every pair of neighbors shares an edge exactly
+        for (const [index, neighbors] of rhombGraph) {
+            assert.ok(neighbors.length > 0);
+            for (const { neighborIndex, sharedLine } of neighbors) {
+                assert.strictEqual(countSharedVertices(rhombs[index], rhombs[neighborIndex]), 2,
+                    `rhombi ${index} and ${neighborIndex} should share an edge`);
+
+                // The shared edge is perpendicular to the shared grid line
+                const rhomb = rhombs[index];
+                const shared = rhomb.points.filter(p => rhombs[neighborIndex].points.some(
+                    q => Math.hypot(p[0] - q[0], p[1] - q[1]) < TOLERANCE));
+                const angle = getAngleBetweenLines(shared[0][0], shared[0][1], shared[1][0], shared[1][1],
+                    sharedLine.x1, sharedLine.y1, sharedLine.x2, sharedLine.y2);
+                assert.ok(Math.abs(angle - 90) < 1e-3);
+            }
+        }
+
+        // Thick rhombi (family difference 1 or 4) have 72/108 angles, thin ones 36/144
+        for (const rhomb of rhombs) {
+            const familyDiff = rhomb.intersection.line2.family - rhomb.intersection.line1.family;
+            const expected = familyDiff === 1 || familyDiff === 4 ? [72, 72, 108, 108] : [36, 36, 144, 144];
+            assert.deepStrictEqual(interiorAngles(rhomb), expected);
+        }
+    });
+}
+
+/**
+ * Sum of squared residuals over a list of conflicts
+ */
+function totalSquaredError(conflicts) {
+    return conflicts.reduce((sum, conflict) => sum + conflict.error * conflict.error, 0);
+}
+
+test('findAlignmentConflicts finds no conflicts in a single-seed alignment', () => {
+    const { rhombs, rhombGraph } = generateTiling({
+        gammas: [0.17, 0.21, 0.28, 0.3, 0.04],
+        numLines: 1,
+        spacing: 400,
+        scale: 55
+    });
+
+    alignRhombuses(rhombs, rhombGraph);
+    assert.deepStrictEqual(findAlignmentConflicts(rhombs, rhombGraph, TOLERANCE), []);
+});
+
+test('inconsistent anchors produce conflicts that relaxAlignment reduces', () => {
+    const { rhombs, rhombGraph } = generateTiling({
+        gammas: [0.17, 0.21, 0.28, 0.3, 0.04],
+        numLines: 1,
+        spacing: 400,
+        scale: 55
+    });
+
+    // Two anchors left at their scattered starting positions disagree with each other
+    const anchors = [0, 60];
+    for (const index of anchors) {
+        rhombs[index].locked = true;
+        rhombs[index].aligned = true;
+    }
+    const anchorPoints = anchors.map(index => JSON.stringify(rhombs[index].points));
+
+    const queue = createAlignmentQueue(rhombs);
+    while (stepAlignmentQueue(rhombs, rhombGraph, queue)) {
+        // Run the alignment to completion
+    }
+
+    const conflicts = findAlignmentConflicts(rhombs, rhombGraph, 0.5);
+    assert.ok(conflicts.length > 0);
+    for (const conflict of conflicts) {
+        assert.ok(conflict.error > 0.5);
+        assert.ok(conflict.neighborIndex > conflict.index);
+        assert.ok(rhombGraph.get(conflict.index).some(data => data.neighborIndex === conflict.neighborIndex));
+    }
+
+    relaxAlignment(rhombs, rhombGraph);
+
+    // Anchors stay put and the total error drops
+    assert.deepStrictEqual(anchors.map(index => JSON.stringify(rhombs[index].points)), anchorPoints);
+    const relaxed = findAlignmentConflicts(rhombs, rhombGraph, 0.5);
+    assert.ok(totalSquaredError(relaxed) < totalSquaredError(conflicts));
+});
+
+test('scrambled rhombi satisfy every graph edge again once reassembled', () => {
+    const { rhombs, rhombGraph } = generateTiling({ gammas: [0.17, 0.21, 0.28, 0.3, 0.04], numLines: 1, spacing: 400, scale: 55 });
+    alignRhombuses(rhombs, rhombGraph);
+    const solved = countSatisfiedEdges(rhombs, rhombGraph, TOLERANCE);
+    assert.ok(solved.total > 0);
+    assert.strictEqual(solved.satisfied, solved.total);
+
+    // The same seed gives the same scramble
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const region = { x: -500, y: -500, width: 1000, height: 1000 };
+    const angles = rhombs.map(interiorAngles);
+    scrambleRhombuses(rhombs, region, random);
+    const scrambled = rhombs.map(rhomb => rhomb.points.map(p => [...p]));
+
+    assert.ok(countSatisfiedEdges(rhombs, rhombGraph, TOLERANCE).satisfied < solved.total);
+    assert.ok(rhombs.every(rhomb => !rhomb.aligned && !rhomb.locked));
+    assert.deepStrictEqual(rhombs.map(interiorAngles), angles);
+
+    seed = 1;
+    scrambleRhombuses(rhombs, region, random);
+    rhombs.forEach((rhomb, i) => rhomb.points.forEach((p, j) => {
+        assert.ok(Math.hypot(p[0] - scrambled[i][j][0], p[1] - scrambled[i][j][1]) < TOLERANCE);
+    }));
+
+    alignRhombuses(rhombs, rhombGraph);
+    assert.strictEqual(countSatisfiedEdges(rhombs, rhombGraph, TOLERANCE).satisfied, solved.total);
+});
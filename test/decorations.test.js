@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { generateTiling, GOLDEN_RATIO } = require('../utils.js');
+const { findOuterVertex, getConwayArcs, getAmmannBars } = require('../decorations.js');
+const { PARAMS, createAlignedTiling } = require('./helpers.js');
+
+const TOLERANCE = 1e-6;
+
+/**
+ * Aligned tiling plus the rhombi far enough inside the grid to be a true Penrose patch
+ */
+function alignedPatch(params) {
+    const { rhombs, rhombGraph } = createAlignedTiling(params);
+
+    const radius = params.numLines * params.spacing / 2;
+    const inside = new Set();
+    rhombs.forEach((rhomb, index) => {
+        if (Math.hypot(rhomb.intersection.x, rhomb.intersection.y) < radius) {
+            inside.add(index);
+        }
+    });
+
+    return { rhombs, rhombGraph, inside };
+}
+
+/**
+ * Points where a rhombus's arcs cross its edges
+ */
+function arcCrossings(rhomb, params) {
+    const crossings = [];
+    for (const arc of getConwayArcs(rhomb, params)) {
+        for (const angle of [arc.start, arc.stop]) {
+            crossings.push([arc.center[0] + arc.radius * Math.cos(angle), arc.center[1] + arc.radius * Math.sin(angle)]);
+        }
+    }
+    return crossings;
+}
+
+test('findOuterVertex needs gammas that sum to an integer', () => {
+    const offGrid = { ...PARAMS, gammas: [0.1, 0.2, 0.3, 0.4, 0.5] };
+    const { rhombs } = generateTiling(offGrid);
+    assert.strictEqual(findOuterVertex(rhombs[0], offGrid), null);
+
+    const { rhombs: penroseRhombs } = generateTiling(PARAMS);
+    for (const rhomb of penroseRhombs) {
+        assert.ok([0, 1, 2, 3].includes(findOuterVertex(rhomb, PARAMS)));
+    }
+});
+
+test('Conway arcs continue across every shared edge', () => {
+    const { rhombs, rhombGraph, inside } = alignedPatch(PARAMS);
+    let checkedEdges = 0;
+
+    for (const index of inside) {
+        const crossings = arcCrossings(rhombs[index], PARAMS);
+        assert.strictEqual(crossings.length, 4);
+
+        for (const { neighborIndex } of rhombGraph.get(index)) {
+            if (!inside.has(neighborIndex)) {
+                continue;
+            }
+
+            // Each rhombus crosses the shared edge exactly once, at the same point
+            const neighborCrossings = arcCrossings(rhombs[neighborIndex], PARAMS);
+            const matches = crossings.filter(p => neighborCrossings.some(
+                q => Math.hypot(p[0] - q[0], p[1] - q[1]) < TOLERANCE));
+            assert.strictEqual(matches.length, 1, `arcs of ${index} and ${neighborIndex} should meet`);
+            checkedEdges++;
+        }
+    }
+
+    assert.ok(checkedEdges > 100);
+});
+
+test('Ammann bars join into five Fibonacci grids of straight lines', () => {
+    for (const gammas of [PARAMS.gammas, [0.31, 0.12, 0.45, 0.05, 0.07]]) {
+        const params = { ...PARAMS, gammas };
+        const { rhombs, inside } = alignedPatch(params);
+        const levels = [new Set(), new Set(), new Set(), new Set(), new Set()];
+
+        for (const index of inside) {
+            const bars = getAmmannBars(rhombs[index], params);
+            assert.deepStrictEqual(bars.map(bar => bar.family), [0, 1, 2, 3, 4]);
+
+            for (const { family, v1, v2 } of bars) {
+                const angle = 2 * Math.PI * family / 5;
+                const level1 = v1[0] * Math.cos(angle) + v1[1] * Math.sin(angle);
+                const level2 = v2[0] * Math.cos(angle) + v2[1] * Math.sin(angle);
+                assert.ok(Math.abs(level1 - level2) < TOLERANCE);
+                levels[family].add(Math.round(level1 / TOLERANCE) * TOLERANCE);
+            }
+        }
+
+        // Gaps between neighboring lines come in two lengths with ratio φ
+        for (const familyLevels of levels) {
+            const sorted = [...familyLevels].sort((a, b) => a - b);
+            const gaps = new Set(sorted.slice(1).map((level, i) => (level - sorted[i]).toFixed(3)));
+            assert.strictEqual(gaps.size, 2);
+            const [short, long] = [...gaps].map(Number).sort((a, b) => a - b);
+            assert.ok(Math.abs(long / short - GOLDEN_RATIO) < 1e-3);
+        }
+    }
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ZIP_MAX_ENTRIES, ZIP_MAX_SIZE, crc32, createZip, createGifPalette, quantizeToGifPalette, compressGifLzw, createGifEncoder } = require('../encoders.js');
+
+/**
+ * Decode a GIF LZW code stream back to palette indices
+ */
+function decompressGifLzw(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bits = 0;
+    let bitCount = 0;
+    let position = 0;
+
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < clearCode; i++) {
+            table.push([i]);
+        }
+        table.push(null, null);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    for (;;) {
+        while (bitCount < codeSize) {
+            bits |= data[position++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) {
+            return output;
+        }
+
+        const entry = code < table.length ? table[code] : [...previous, previous[0]];
+        output.push(...entry);
+        if (previous !== null) {
+            table.push([...previous, entry[0]]);
+        }
+        previous = entry;
+
+        if (table.length === 1 << codeSize && codeSize < 12) {
+            codeSize++;
+        }
+    }
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip stores each file after a local header and lists it in the central directory', () => {
+    const files = [
+        { name: 'frame-0001.png', data: new Uint8Array([1, 2, 3]) },
+        { name: 'frame-0002.png', data: new Uint8Array([4, 5]) }
+    ];
+    const zip = createZip(files, new Date(2024, 5, 1, 12, 30, 10));
+    const view = new DataView(zip.buffer);
+
+    assert.strictEqual(view.getUint32(0, true), 0x04034B50);
+    assert.strictEqual(view.getUint32(14, true), crc32(files[0].data));
+    assert.deepStrictEqual([...zip.subarray(30 + 14, 30 + 14 + 3)], [1, 2, 3]);
+
+    // End record points at a central directory holding both entries
+    const end = zip.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054B50);
+    assert.strictEqual(view.getUint16(end + 10, true), 2);
+    const directory = view.getUint32(end + 16, true);
+    assert.strictEqual(view.getUint32(directory, true), 0x02014B50);
+    assert.strictEqual(new TextDecoder().decode(zip.subarray(directory + 46, directory + 46 + 14)), 'frame-0001.png');
+    assert.strictEqual(view.getUint32(end + 12, true), end - directory);
+});
+
+test('createZip refuses archives that need ZIP64', () => {
+    const empty = new Uint8Array(0);
+    const files = Array.from({ length: ZIP_MAX_ENTRIES + 1 }, (_, i) => ({ name: `${i}`, data: empty }));
+    assert.throws(() => createZip(files), /at most 65535 files/);
+
+    // Only the length of the data is read before the size check
+    assert.throws(() => createZip([{ name: 'big.png', data: { length: ZIP_MAX_SIZE } }]), /at most 4294967295 bytes/);
+});
+
+test('quantizeToGifPalette picks exact palette colors and treats transparency as white', () => {
+    const palette = createGifPalette();
+    const [index] = quantizeToGifPalette(new Uint8Array([255, 0, 0, 255]));
+    assert.deepStrictEqual([...palette.subarray(index * 3, index * 3 + 3)], [255, 0, 0]);
+
+    const [clear] = quantizeToGifPalette(new Uint8Array([0, 0, 0, 0]));
+    assert.deepStrictEqual([...palette.subarray(clear * 3, clear * 3 + 3)], [255, 255, 255]);
+});
+
+test('compressGifLzw round-trips through a table reset', () => {
+    // Enough varied data to fill the 4096-entry table more than once
+    const indices = new Uint8Array(40000);
+    let seed = 7;
+    for (let i = 0; i < indices.length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        indices[i] = i % 97 < 60 ? (seed >>> 24) % 7 : seed >>> 24;
+    }
+
+    assert.deepStrictEqual(decompressGifLzw(compressGifLzw(indices, 8), 8), [...indices]);
+    assert.deepStrictEqual(decompressGifLzw(compressGifLzw(new Uint8Array([5]), 8), 8), [5]);
+});
+
+test('createGifEncoder writes a looping GIF with one image per frame', () => {
+    const encoder = createGifEncoder(2, 2, 10);
+    const white = new Uint8Array(16).fill(255);
+    encoder.addFrame(white);
+    encoder.addFrame(white);
+    assert.throws(() => encoder.addFrame(new Uint8Array(4)));
+    const gif = encoder.finish();
+
+    assert.strictEqual(encoder.frameCount, 2);
+    assert.strictEqual(new TextDecoder().decode(gif.subarray(0, 6)), 'GIF89a');
+    assert.strictEqual(gif[gif.length - 1], 0x3B);
+    assert.ok(new TextDecoder().decode(gif).includes('NETSCAPE2.0'));
+
+    let images = 0;
+    for (let i = 0; i + 2 < gif.length; i++) {
+        if (gif[i] === 0x21 && gif[i + 1] === 0xF9 && gif[i + 2] === 0x04) {
+            images++;
+        }
+    }
+    assert.strictEqual(images, 2);
+});
@@ -0,0 +1,21 @@
+/**
+ * Shared fixture for the tests of the aligned Penrose tiling
+ */
+
+const { generateTiling, alignRhombuses } = require('../utils.js');
+
+// Pentagrid whose gammas sum to 1, so its rhombi carry the matching-rule orientation
+const PARAMS = { gammas: [0.17, 0.21, 0.28, 0.3, 0.04], numLines: 4, spacing: 400, scale: 55 };
+
+/**
+ * Generate a tiling and align it from rhombus 0
+ * @param {Object} [params] - Grid parameters, PARAMS by default
+ * @returns {Object} Tiling from generateTiling, with its rhombi aligned
+ */
+function createAlignedTiling(params = PARAMS) {
+    const tiling = generateTiling(params);
+    alignRhombuses(tiling.rhombs, tiling.rhombGraph);
+    return tiling;
+}
+
+module.exports = { PARAMS, createAlignedTiling };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { alignRhombuses, resetRhombuses, findAlignmentConflicts, GOLDEN_RATIO } = require('../utils.js');
+const { deflateTriangle, deflateTiling, inflateTiling } = require('../inflation.js');
+const { checkTilingIntegrity } = require('../integrity.js');
+const { PARAMS, createAlignedTiling } = require('./helpers.js');
+
+const TOLERANCE = 1e-6;
+
+/**
+ * Order-independent key of a rhombus's position, rounded to whole units
+ */
+function rhombKey(rhomb) {
+    return rhomb.points.map(p => `${Math.round(p[0])},${Math.round(p[1])}`).sort().join(' ');
+}
+
+test('deflateTriangle cuts triangles into φ times smaller Robinson triangles', () => {
+    const apex = [0, 0];
+    const acute = { type: 'acute', points: [apex, [Math.cos(0.2 * Math.PI), Math.sin(0.2 * Math.PI)], [1, 0]] };
+    const obtuse = { type: 'obtuse', points: [apex, [Math.cos(0.6 * Math.PI), Math.sin(0.6 * Math.PI)], [1, 0]] };
+
+    for (const [triangle, count] of [[acute, 2], [obtuse, 3]]) {
+        const children = deflateTriangle(triangle);
+        assert.strictEqual(children.length, count);
+
+        for (const child of children) {
+            const [a, b, c] = child.points;
+            assert.ok(Math.abs(Math.hypot(b[0] - a[0], b[1] - a[1]) - 1 / GOLDEN_RATIO) < TOLERANCE);
+            assert.ok(Math.abs(Math.hypot(c[0] - a[0], c[1] - a[1]) - 1 / GOLDEN_RATIO) < TOLERANCE);
+        }
+    }
+});
+
+test('deflateTiling keeps the edge length and rebuilds a graph that realigns the tiling', () => {
+    const { rhombs } = createAlignedTiling();
+    const { rhombs: deflated, rhombGraph } = deflateTiling(rhombs, PARAMS);
+    assert.ok(deflated.length > 1.5 * rhombs.length);
+
+    for (const rhomb of deflated) {
+        const [p, q] = rhomb.points;
+        assert.ok(Math.abs(Math.hypot(q[0] - p[0], q[1] - p[1]) - PARAMS.scale) < TOLERANCE);
+        assert.ok(rhomb.aligned);
+    }
+    assert.strictEqual(findAlignmentConflicts(deflated, rhombGraph, TOLERANCE).length, 0);
+
+    // Scattering and aligning again reproduces the deflated layout up to a translation
+    const layout = deflated.map(rhomb => rhomb.points.map(p => [...p]));
+    resetRhombuses(deflated);
+    alignRhombuses(deflated, rhombGraph);
+
+    const shift = [layout[0][0][0] - deflated[0].points[0][0], layout[0][0][1] - deflated[0].points[0][1]];
+    deflated.forEach((rhomb, i) => rhomb.points.forEach((p, j) => {
+        assert.ok(Math.hypot(layout[i][j][0] - p[0] - shift[0], layout[i][j][1] - p[1] - shift[1]) < TOLERANCE);
+    }));
+});
+
+test('inflateTiling undoes deflateTiling away from the edge of the patch', () => {
+    const { rhombs } = createAlignedTiling();
+    const { rhombs: deflated } = deflateTiling(rhombs, PARAMS);
+    const { rhombs: inflated, rhombGraph } = inflateTiling(deflated, PARAMS);
+
+    const original = new Set(rhombs.map(rhombKey));
+    assert.ok(inflated.length > rhombs.length / 2);
+    assert.ok(inflated.every(rhomb => original.has(rhombKey(rhomb))));
+    assert.strictEqual(findAlignmentConflicts(inflated, rhombGraph, TOLERANCE).length, 0);
+
+    // Grids without matching rules can't be substituted
+    assert.strictEqual(deflateTiling(rhombs, { ...PARAMS, gammas: [0.1, 0.2, 0.3, 0.4, 0.5] }), null);
+});
+
+test('deflateTiling and inflateTiling leave valid tilings without enclosed holes', () => {
+    // Five lines per family leave unpaired halves that enclose holes in the first deflation
+    const params = { ...PARAMS, numLines: 5 };
+    const tolerance = params.scale * 0.01;
+    const deflated = deflateTiling(createAlignedTiling(params).rhombs, params);
+    const inflated = inflateTiling(deflated.rhombs, params);
+
+    for (const { rhombs, rhombGraph } of [deflated, inflated]) {
+        const report = checkTilingIntegrity(rhombs, rhombGraph, tolerance);
+        assert.deepStrictEqual(report.gaps, []);
+        assert.strictEqual(report.valid, true);
+    }
+});
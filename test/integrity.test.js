@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { realignRhombus, getSignedArea } = require('../utils.js');
+const { checkTilingIntegrity } = require('../integrity.js');
+const { PARAMS, createAlignedTiling } = require('./helpers.js');
+
+const TOLERANCE = PARAMS.scale * 0.01;
+
+/**
+ * Aligned tiling and the index of a rhombus well inside it
+ */
+function createCenteredTiling() {
+    const { rhombs, rhombGraph } = createAlignedTiling();
+    const center = rhombs.findIndex(rhomb => Math.hypot(rhomb.intersection.x, rhomb.intersection.y) < PARAMS.spacing);
+    return { rhombs, rhombGraph, center };
+}
+
+test('checkTilingIntegrity finds no defect in an aligned tiling', () => {
+    const { rhombs, rhombGraph } = createCenteredTiling();
+    const report = checkTilingIntegrity(rhombs, rhombGraph, TOLERANCE);
+
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual([report.overlaps, report.gaps, report.mismatchedEdges], [[], [], []]);
+});
+
+test('checkTilingIntegrity reports the overlap, gap and edges of a displaced rhombus', () => {
+    const { rhombs, rhombGraph, center } = createCenteredTiling();
+    realignRhombus(rhombs[center], { x: 10, y: 4 });
+    const report = checkTilingIntegrity(rhombs, rhombGraph, TOLERANCE);
+
+    assert.strictEqual(report.valid, false);
+    assert.ok(report.overlaps.length > 0);
+    assert.ok(report.overlaps.every(overlap => overlap.index === center || overlap.otherIndex === center));
+    assert.strictEqual(report.gaps.length, 1);
+
+    const neighbors = rhombGraph.get(center).length;
+    assert.strictEqual(report.mismatchedEdges.length, neighbors);
+    assert.ok(report.mismatchedEdges.every(mismatch => mismatch.reason === 'offset' && mismatch.error > TOLERANCE));
+});
+
+test('checkTilingIntegrity reports a hole and an edge that is not on its line', () => {
+    const { rhombs, rhombGraph, center } = createCenteredTiling();
+    const area = Math.abs(getSignedArea(rhombs[center].points));
+
+    const gaps = checkTilingIntegrity(rhombs.filter((_, i) => i !== center), new Map(), TOLERANCE).gaps;
+    assert.strictEqual(gaps.length, 1);
+    assert.ok(Math.abs(gaps[0].area - area) < 1e-6 * area);
+
+    // Turned off its grid directions, the rhombus has no edge across its lines
+    const [cx, cy] = rhombs[center].points.reduce((sum, p) => [sum[0] + p[0] / 4, sum[1] + p[1] / 4], [0, 0]);
+    const angle = 0.2;
+    rhombs[center].points = rhombs[center].points.map(([x, y]) => [
+        cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+        cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle)
+    ]);
+
+    const missing = checkTilingIntegrity(rhombs, rhombGraph, TOLERANCE).mismatchedEdges;
+    assert.strictEqual(missing.length, rhombGraph.get(center).length);
+    assert.ok(missing.every(mismatch => mismatch.reason === 'missing' && mismatch.error === null));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getSignedArea, GOLDEN_RATIO } = require('../utils.js');
+const { decomposeToRobinsonTriangles, composeKitesAndDarts } = require('../robinson.js');
+const { exportSvg } = require('../svg.js');
+const { PARAMS, createAlignedTiling } = require('./helpers.js');
+
+/**
+ * Aligned rhombi and their Robinson triangles
+ */
+function alignedTriangles(params) {
+    const { rhombs } = createAlignedTiling(params);
+    return { rhombs, triangles: decomposeToRobinsonTriangles(rhombs, params) };
+}
+
+test('Robinson triangles split every rhombus in two and keep its area', () => {
+    const { rhombs, triangles } = alignedTriangles(PARAMS);
+    assert.strictEqual(triangles.length, 2 * rhombs.length);
+
+    rhombs.forEach((rhomb, index) => {
+        const halves = triangles.filter(triangle => triangle.source === index);
+        assert.deepStrictEqual(halves.map(triangle => triangle.type),
+            rhomb.type === 'thick' ? ['obtuse', 'obtuse'] : ['acute', 'acute']);
+
+        const area = halves.reduce((sum, triangle) => sum + Math.abs(getSignedArea(triangle.points)), 0);
+        assert.ok(Math.abs(area - Math.abs(getSignedArea(rhomb.points))) < 1e-6);
+    });
+
+    // Grids without matching rules can't be split
+    assert.deepStrictEqual(decomposeToRobinsonTriangles(rhombs, { ...PARAMS, gammas: [0.1, 0.2, 0.3, 0.4, 0.5] }), []);
+});
+
+test('Kites and darts cover the rhombi and pair up away from the edge', () => {
+    const params = { ...PARAMS, numLines: 8 };
+    const { rhombs, triangles } = alignedTriangles(params);
+    const tiles = composeKitesAndDarts(triangles, params.scale * 0.01);
+
+    const rhombArea = rhombs.reduce((sum, rhomb) => sum + Math.abs(getSignedArea(rhomb.points)), 0);
+    const tileArea = tiles.reduce((sum, tile) => sum + Math.abs(getSignedArea(tile.points)), 0);
+    assert.ok(Math.abs(tileArea - rhombArea) < 1e-6 * rhombArea);
+
+    // Half tiles only occur where the partner lies outside the patch
+    const radius = params.numLines * params.spacing / 2;
+    const isInside = index => Math.hypot(rhombs[index].intersection.x, rhombs[index].intersection.y) < radius;
+    const inside = tiles.filter(tile => tile.sources.every(isInside));
+    assert.strictEqual(inside.filter(tile => tile.half).length, 0);
+    assert.ok(inside.length > 100);
+
+    for (const tile of inside) {
+        assert.strictEqual(tile.points.length, 4);
+        assert.strictEqual(tile.sources.length, 2);
+    }
+
+    // Kites outnumber darts by the golden ratio, approached slowly on a finite patch
+    const kites = inside.filter(tile => tile.type === 'kite').length;
+    const darts = inside.filter(tile => tile.type === 'dart').length;
+    assert.ok(Math.abs(kites / darts - GOLDEN_RATIO) < 0.2);
+});
+
+test('exportSvg writes alternate view pieces with their source rhombi', () => {
+    const { rhombs, triangles } = alignedTriangles(PARAMS);
+    const tiles = composeKitesAndDarts(triangles, PARAMS.scale * 0.01);
+
+    const svg = exportSvg({ rhombs, gridLines: [], intersections: [], colors: [], pieces: tiles });
+    assert.strictEqual((svg.match(/<polygon /g) || []).length, tiles.length);
+    assert.ok(svg.includes('data-type="kite"'));
+    assert.ok(svg.includes('data-type="dart"'));
+    assert.ok(svg.includes(`data-sources="${tiles[0].sources.join(' ')}"`));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { generateTiling, alignRhombuses } = require('../utils.js');
+const { serializeSession, parseSession, applySessionRhombs, SESSION_VERSION } = require('../session.js');
+
+const PARAMS = { gammas: [0.17, 0.21, 0.28, 0.3, 0.04], numLines: 1, spacing: 400, scale: 55 };
+
+/**
+ * Serialize an aligned tiling with one locked rhombus
+ */
+function createSessionText() {
+    const { rhombs, rhombGraph } = generateTiling(PARAMS);
+    alignRhombuses(rhombs, rhombGraph);
+    rhombs[3].locked = true;
+    return { rhombs, text: JSON.stringify(serializeSession(PARAMS, rhombs, { isAligned: true })) };
+}
+
+test('a saved session round-trips onto a regenerated tiling', () => {
+    const { rhombs, text } = createSessionText();
+
+    const { session, error } = parseSession(text);
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(session.version, SESSION_VERSION);
+    assert.strictEqual(session.isAligned, true);
+
+    const { rhombs: restored } = generateTiling(session.params);
+    applySessionRhombs(session, restored);
+    for (let i = 0; i < rhombs.length; i++) {
+        assert.deepStrictEqual(restored[i].points, rhombs[i].points);
+        assert.strictEqual(restored[i].aligned, rhombs[i].aligned);
+        assert.strictEqual(restored[i].locked, rhombs[i].locked);
+    }
+});
+
+test('parseSession rejects malformed JSON and unknown versions', () => {
+    assert.match(parseSession('{').error, /Invalid JSON/);
+
+    const session = JSON.parse(createSessionText().text);
+    session.version = SESSION_VERSION + 1;
+    assert.match(parseSession(JSON.stringify(session)).error, /Unsupported session version/);
+});
+
+test('parseSession rejects sessions that do not match their grid parameters', () => {
+    const session = JSON.parse(createSessionText().text);
+
+    const extraRhomb = { ...session, rhombs: [...session.rhombs, session.rhombs[0]] };
+    assert.match(parseSession(JSON.stringify(extraRhomb)).error, /generate/);
+
+    const moreLines = { ...session, params: { ...session.params, numLines: 2 } };
+    assert.match(parseSession(JSON.stringify(moreLines)).error, /generate/);
+
+    const badSpacing = { ...session, params: { ...session.params, spacing: 0 } };
+    assert.match(parseSession(JSON.stringify(badSpacing)).error, /Invalid grid parameters/);
+
+    const swapped = JSON.parse(JSON.stringify(session));
+    swapped.rhombs[0].families = [3, 4];
+    assert.match(parseSession(JSON.stringify(swapped)).error, /does not match/);
+
+    const badPoints = JSON.parse(JSON.stringify(session));
+    badPoints.rhombs[1].points[2] = [0, null];
+    assert.match(parseSession(JSON.stringify(badPoints)).error, /invalid points/);
+});
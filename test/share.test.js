@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseUrlState, encodeUrlState } = require('../share.js');
+
+const DEFAULTS = { gammas: [0.17, 0.21, 0.28, 0.3, 0.04], numLines: 1, spacing: 400, scale: 55, viewMode: 'rhombi', seed: 0 };
+const VIEW_MODES = ['rhombi', 'triangles', 'kites'];
+
+test('encodeUrlState round-trips every field exactly', () => {
+    const state = { gammas: [0.1, 1 / 3, -0.2, 0.30000000000000004], numLines: 6, spacing: 250.5, scale: 40, viewMode: 'kites', seed: -7 };
+    const search = encodeUrlState(state);
+    assert.ok(search.startsWith('?gammas=0.1,0.3333333333333333,-0.2,'));
+
+    const { state: parsed, errors, provided } = parseUrlState(search, DEFAULTS, VIEW_MODES);
+    assert.deepStrictEqual(parsed, state);
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(provided.length, 6);
+});
+
+test('parseUrlState keeps defaults for missing parameters', () => {
+    const { state, errors, provided } = parseUrlState('', DEFAULTS, VIEW_MODES);
+    assert.deepStrictEqual(state, DEFAULTS);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(provided, []);
+
+    // The defaults aren't shared with the result
+    state.gammas[0] = 1;
+    assert.strictEqual(DEFAULTS.gammas[0], 0.17);
+});
+
+test('parseUrlState reports and ignores invalid parameters one by one', () => {
+    const { state, errors, provided } = parseUrlState(
+        '?gammas=0.1,x,0.3&lines=2.5&spacing=-1&scale=&view=hexagons&seed=3',
+        DEFAULTS,
+        VIEW_MODES
+    );
+
+    assert.deepStrictEqual(state, { ...DEFAULTS, seed: 3 });
+    assert.deepStrictEqual(provided, ['seed']);
+    assert.deepStrictEqual(errors.map(error => error.split(':')[0]), ['gammas', 'lines', 'spacing', 'scale', 'view']);
+
+    // Too few families
+    assert.strictEqual(parseUrlState('?gammas=0.5,0.5', DEFAULTS, VIEW_MODES).errors.length, 1);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { generateTiling, alignRhombuses } = require('../utils.js');
+const { exportSvg, getRhombBounds } = require('../svg.js');
+
+const PARAMS = { gammas: [0.17, 0.21, 0.28, 0.3, 0.04], numLines: 1, spacing: 400, scale: 55 };
+const COLORS = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 165, 0], [128, 0, 128]];
+
+test('exportSvg writes one polygon per rhombus grouped by family pair', () => {
+    const { rhombs, rhombGraph } = generateTiling(PARAMS);
+    alignRhombuses(rhombs, rhombGraph);
+
+    const svg = exportSvg({ rhombs });
+    assert.ok(svg.startsWith('<?xml'));
+    assert.strictEqual((svg.match(/<polygon /g) || []).length, rhombs.length);
+
+    // Ten family pairs, each tagged with its type
+    const groups = svg.match(/data-families="\d-\d" data-type="(thick|thin)"/g);
+    assert.strictEqual(groups.length, 10);
+    assert.ok(svg.includes('data-families="0-1" data-type="thick"'));
+    assert.ok(svg.includes('data-families="0-2" data-type="thin"'));
+    assert.ok(!svg.includes('<line '));
+    assert.ok(!svg.includes('<circle '));
+});
+
+test('exportSvg includes grid lines and intersections on request', () => {
+    const { rhombs, gridLines, intersections } = generateTiling(PARAMS);
+
+    const svg = exportSvg(
+        { rhombs, gridLines, intersections, colors: COLORS },
+        { includeGrid: true, includeIntersections: true, style: { thickFill: '#ff0', thinFill: '#0ff' } }
+    );
+    assert.strictEqual((svg.match(/<line /g) || []).length, 15);
+    assert.strictEqual((svg.match(/<circle /g) || []).length, intersections.length);
+    assert.ok(svg.includes('stroke="rgb(255,165,0)"'));
+    assert.ok(svg.includes('fill="#ff0"') && svg.includes('fill="#0ff"'));
+});
+
+test('exportSvg crops tiles to the viewport', () => {
+    const { rhombs } = generateTiling(PARAMS);
+    const bounds = getRhombBounds(rhombs);
+    const viewport = { x: bounds.x, y: bounds.y, width: bounds.width / 4, height: bounds.height / 4 };
+
+    const svg = exportSvg({ rhombs }, { viewport });
+    const count = (svg.match(/<polygon /g) || []).length;
+    assert.ok(count > 0 && count < rhombs.length);
+    const viewBox = [viewport.x, viewport.y, viewport.width, viewport.height]
+        .map(value => String(Math.round(value * 1000) / 1000))
+        .join(' ');
+    assert.ok(svg.includes(`viewBox="${viewBox}"`));
+});
@@ -0,0 +1,366 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    intersect,
+    getAngleBetweenLines,
+    isPointInPolygon,
+    getSignedArea,
+    clipToConvexPolygon,
+    findClosestNeighborsOnLine,
+    findEdgeOnLine,
+    calculateAlignmentOffset,
+    realignRhombus,
+    findGridFamily,
+    findRhomb,
+    generateTiling,
+    countRhombTypes,
+    alignRhombuses,
+    findSnapTarget,
+    findGroupSnapTarget,
+    findRhombsInRect,
+    findIllegalContacts,
+    findSingularPoints,
+    resolveSingularGammas,
+    findAlignmentConflicts,
+    validateParameters,
+    setLogLevel,
+    logDebug
+} = require('../utils.js');
+
+const PARAMS = { gammas: [0.17, 0.21, 0.28, 0.3, 0.04], numLines: 0, spacing: 400, scale: 55 };
+
+/**
+ * Build the rhombus at the crossing of the n = 0 lines of two families
+ */
+function rhombAt(family1, family2) {
+    const line1 = findGridFamily(family1, PARAMS)[0];
+    const line2 = findGridFamily(family2, PARAMS)[0];
+    return findRhomb(intersect(line1, line2), PARAMS.scale);
+}
+
+function distance(p, q) {
+    return Math.hypot(p[0] - q[0], p[1] - q[1]);
+}
+
+test.before(() => {
+    // Keep test output readable
+    console.log = () => {};
+    console.warn = () => {};
+});
+
+test('intersect finds the crossing point of two segments', () => {
+    const result = intersect({ x1: -1, y1: 0, x2: 1, y2: 0 }, { x1: 0, y1: -1, x2: 0, y2: 1 });
+    assert.ok(result);
+    assert.ok(Math.abs(result.x) < 1e-12);
+    assert.ok(Math.abs(result.y) < 1e-12);
+});
+
+test('intersect keeps references to both lines', () => {
+    const line1 = { x1: 0, y1: 0, x2: 2, y2: 2 };
+    const line2 = { x1: 0, y1: 2, x2: 2, y2: 0 };
+    const result = intersect(line1, line2);
+    assert.strictEqual(result.line1, line1);
+    assert.strictEqual(result.line2, line2);
+    assert.ok(Math.abs(result.x - 1) < 1e-12 && Math.abs(result.y - 1) < 1e-12);
+});
+
+test('intersect rejects parallel, zero-length and non-overlapping segments', () => {
+    assert.strictEqual(intersect({ x1: 0, y1: 0, x2: 1, y2: 0 }, { x1: 0, y1: 1, x2: 1, y2: 1 }), false);
+    assert.strictEqual(intersect({ x1: 0, y1: 0, x2: 0, y2: 0 }, { x1: -1, y1: 0, x2: 1, y2: 0 }), false);
+    assert.strictEqual(intersect({ x1: 0, y1: 0, x2: 1, y2: 0 }, { x1: 2, y1: -1, x2: 2, y2: 1 }), false);
+});
+
+test('getAngleBetweenLines returns the acute angle in degrees', () => {
+    assert.ok(Math.abs(getAngleBetweenLines(0, 0, 1, 0, 0, 0, 0, 1) - 90) < 1e-9);
+    assert.ok(Math.abs(getAngleBetweenLines(0, 0, 1, 0, 0, 0, 1, 1) - 45) < 1e-9);
+    // 135 degrees folds back to 45
+    assert.ok(Math.abs(getAngleBetweenLines(0, 0, 1, 0, 0, 0, -1, 1) - 45) < 1e-9);
+    assert.ok(Math.abs(getAngleBetweenLines(0, 0, 1, 0, 5, 5, 3, 5)) < 1e-9);
+});
+
+test('getAngleBetweenLines returns 0 for a zero-length line', () => {
+    assert.strictEqual(getAngleBetweenLines(0, 0, 0, 0, 0, 0, 1, 1), 0);
+});
+
+test('isPointInPolygon distinguishes inside and outside points', () => {
+    const square = { points: [[0, 0], [2, 0], [2, 2], [0, 2]] };
+    assert.strictEqual(isPointInPolygon(1, 1, square), true);
+    assert.strictEqual(isPointInPolygon(3, 1, square), false);
+    assert.strictEqual(isPointInPolygon(1, -0.5, square), false);
+});
+
+test('isPointInPolygon rejects missing or degenerate polygons', () => {
+    assert.strictEqual(isPointInPolygon(0, 0, null), false);
+    assert.strictEqual(isPointInPolygon(0, 0, { points: [[0, 0], [1, 1]] }), false);
+});
+
+test('findClosestNeighborsOnLine picks the nearest candidate in each direction', () => {
+    const line = { x1: -10, y1: 0, x2: 10, y2: 0 };
+    const candidates = [
+        { index: 1, x: 3, y: 0 },
+        { index: 2, x: 1, y: 0 },
+        { index: 3, x: -2, y: 0 },
+        { index: 4, x: -5, y: 0 },
+        { index: 5, x: 0, y: 0 }  // same point, skipped
+    ];
+
+    const neighbors = findClosestNeighborsOnLine(0, 0, line, candidates);
+    assert.deepStrictEqual(neighbors, [
+        { index: 2, direction: 'forward' },
+        { index: 3, direction: 'backward' }
+    ]);
+});
+
+test('findClosestNeighborsOnLine follows the line orientation', () => {
+    const line = { x1: 10, y1: 0, x2: -10, y2: 0 };
+    const neighbors = findClosestNeighborsOnLine(0, 0, line, [{ index: 7, x: 4, y: 0 }]);
+    assert.deepStrictEqual(neighbors, [{ index: 7, direction: 'backward' }]);
+    assert.deepStrictEqual(findClosestNeighborsOnLine(0, 0, line, []), []);
+});
+
+test('findEdgeOnLine returns the perpendicular edges on either side of the intersection', () => {
+    const rhomb = rhombAt(0, 1);
+    const line = rhomb.intersection.line1;
+    const lineDx = line.x2 - line.x1;
+    const lineDy = line.y2 - line.y1;
+
+    const forward = findEdgeOnLine(rhomb, line, 'forward');
+    const backward = findEdgeOnLine(rhomb, line, 'backward');
+
+    for (const edge of [forward, backward]) {
+        const angle = getAngleBetweenLines(edge.v1[0], edge.v1[1], edge.v2[0], edge.v2[1],
+            line.x1, line.y1, line.x2, line.y2);
+        assert.ok(Math.abs(angle - 90) < 1e-6);
+    }
+
+    // The forward edge lies further along the line direction
+    const forwardCenter = (forward.v1[0] + forward.v2[0]) * lineDx + (forward.v1[1] + forward.v2[1]) * lineDy;
+    const backwardCenter = (backward.v1[0] + backward.v2[0]) * lineDx + (backward.v1[1] + backward.v2[1]) * lineDy;
+    assert.ok(forwardCenter > backwardCenter);
+});
+
+test('calculateAlignmentOffset moves the neighbor so the shared edges coincide', () => {
+    // Rhombi on the same family-0 line, crossed by families 1 and 2
+    const start = rhombAt(0, 1);
+    const adjacent = rhombAt(0, 2);
+    const sharedLine = start.intersection.line1;
+
+    const lineDx = sharedLine.x2 - sharedLine.x1;
+    const lineDy = sharedLine.y2 - sharedLine.y1;
+    const along = (adjacent.intersection.x - start.intersection.x) * lineDx +
+        (adjacent.intersection.y - start.intersection.y) * lineDy;
+    const direction = along > 0 ? 'forward' : 'backward';
+
+    const offset = calculateAlignmentOffset(start, adjacent, sharedLine, direction);
+    realignRhombus(adjacent, offset);
+
+    // The two edges run in opposite directions, so compare them as vertex sets
+    const startEdge = findEdgeOnLine(start, sharedLine, direction);
+    const adjEdge = findEdgeOnLine(adjacent, sharedLine, direction === 'forward' ? 'backward' : 'forward');
+    const sameOrder = distance(startEdge.v1, adjEdge.v1) + distance(startEdge.v2, adjEdge.v2);
+    const swapped = distance(startEdge.v1, adjEdge.v2) + distance(startEdge.v2, adjEdge.v1);
+    assert.ok(Math.min(sameOrder, swapped) < 1e-9);
+});
+
+test('calculateAlignmentOffset returns a zero offset when no shared edge exists', () => {
+    const start = rhombAt(0, 1);
+    const adjacent = rhombAt(2, 3);
+    const offset = calculateAlignmentOffset(start, adjacent, start.intersection.line1, 'forward');
+    assert.deepStrictEqual(offset, { x: 0, y: 0 });
+});
+
+test('findRhomb tags thick and thin rhombi by family difference', () => {
+    assert.strictEqual(rhombAt(0, 1).type, 'thick');
+    assert.strictEqual(rhombAt(0, 4).type, 'thick');
+    assert.strictEqual(rhombAt(0, 2).type, 'thin');
+    assert.strictEqual(rhombAt(1, 4).type, 'thin');
+});
+
+test('findRhomb records that its edges cross the grid lines at right angles', () => {
+    for (const [family1, family2] of [[0, 1], [0, 2], [3, 4]]) {
+        assert.strictEqual(rhombAt(family1, family2).perpendicular, true);
+    }
+});
+
+test('logDebug only reaches the console at the debug log level', () => {
+    const logged = [];
+    const log = console.log;
+    console.log = (...args) => logged.push(args);
+    try {
+        logDebug('hidden');
+        setLogLevel('debug');
+        logDebug('shown', 1);
+        setLogLevel('verbose');
+        logDebug('still shown');
+    } finally {
+        setLogLevel('info');
+        console.log = log;
+    }
+    assert.deepStrictEqual(logged, [['shown', 1], ['still shown']]);
+});
+
+test('countRhombTypes ratio approaches the golden ratio near the grid center', () => {
+    const phi = (1 + Math.sqrt(5)) / 2;
+    const { rhombs } = generateTiling({ ...PARAMS, numLines: 10 });
+
+    // Every family pair crosses equally often over the whole grid
+    const counts = countRhombTypes(rhombs);
+    assert.strictEqual(counts.thick + counts.thin, rhombs.length);
+    assert.strictEqual(counts.ratio, 1);
+
+    const central = countRhombTypes(rhombs, 10 * PARAMS.spacing);
+    assert.ok(Math.abs(central.ratio - phi) < 0.05);
+
+    assert.deepStrictEqual(countRhombTypes([]), { thick: 0, thin: 0, ratio: null, byType: {} });
+});
+
+test('findSnapTarget snaps a nudged rhombus back onto its neighbor', () => {
+    const { rhombs, rhombGraph } = generateTiling({ ...PARAMS, numLines: 1 });
+    alignRhombuses(rhombs, rhombGraph);
+
+    const aligned = rhombs[4].points.map(p => [p[0], p[1]]);
+    realignRhombus(rhombs[4], { x: 6, y: -4 });
+
+    const target = findSnapTarget(rhombs, rhombGraph, 4, 20);
+    assert.ok(target);
+    assert.ok(Math.abs(target.offset.x + 6) < 1e-9 && Math.abs(target.offset.y - 4) < 1e-9);
+    assert.ok(rhombGraph.get(4).some(data => data.neighborIndex === target.neighborIndex));
+
+    realignRhombus(rhombs[4], target.offset);
+    rhombs[4].points.forEach((p, i) => assert.ok(distance(p, aligned[i]) < 1e-9));
+
+    // Too far away to snap
+    realignRhombus(rhombs[4], { x: 100, y: 100 });
+    assert.strictEqual(findSnapTarget(rhombs, rhombGraph, 4, 20), null);
+});
+
+test('findGroupSnapTarget snaps a dragged group onto rhombi outside it', () => {
+    const { rhombs, rhombGraph } = generateTiling({ ...PARAMS, numLines: 1 });
+    alignRhombuses(rhombs, rhombGraph);
+
+    // Move rhombus 4 and its first neighbor together
+    const group = [4, rhombGraph.get(4)[0].neighborIndex];
+    for (const index of group) {
+        realignRhombus(rhombs[index], { x: 6, y: -4 });
+    }
+
+    const target = findGroupSnapTarget(rhombs, rhombGraph, group, 20);
+    assert.ok(target);
+    assert.ok(group.includes(target.index));
+    assert.ok(!group.includes(target.neighborIndex));
+    assert.ok(Math.abs(target.offset.x + 6) < 1e-9 && Math.abs(target.offset.y - 4) < 1e-9);
+
+    // Group members never snap to each other
+    assert.strictEqual(findSnapTarget(rhombs, rhombGraph, 4, 20, new Set(rhombGraph.get(4).map(data => data.neighborIndex))), null);
+});
+
+test('findRhombsInRect selects rhombi by center in either drag direction', () => {
+    const rhombs = [rhombAt(0, 1), rhombAt(0, 2)];
+    realignRhombus(rhombs[1], { x: 500, y: 500 });
+
+    const center = rhombs[0].points.reduce((sum, p) => [sum[0] + p[0] / 4, sum[1] + p[1] / 4], [0, 0]);
+    assert.deepStrictEqual(findRhombsInRect(rhombs, { x: center[0] - 1, y: center[1] - 1, width: 2, height: 2 }), [0]);
+    assert.deepStrictEqual(findRhombsInRect(rhombs, { x: center[0] + 1, y: center[1] + 1, width: -2, height: -2 }), [0]);
+    assert.deepStrictEqual(findRhombsInRect(rhombs, { x: -1000, y: -1000, width: 3000, height: 3000 }), [0, 1]);
+});
+
+test('clipToConvexPolygon keeps the shared part of two polygons', () => {
+    const square = [[0, 0], [2, 0], [2, 2], [0, 2]];
+    const shifted = square.map(([x, y]) => [x + 1, y + 1]);
+
+    assert.ok(Math.abs(getSignedArea(clipToConvexPolygon(square, shifted)) - 1) < 1e-9);
+    assert.strictEqual(clipToConvexPolygon(square, square.map(([x, y]) => [x + 3, y])).length, 0);
+});
+
+test('findIllegalContacts flags edge contact and overlap with non-neighbors only', () => {
+    const { rhombs, rhombGraph } = generateTiling({ ...PARAMS, numLines: 1 });
+    alignRhombuses(rhombs, rhombGraph);
+    const all = rhombs.map((rhomb, i) => i);
+
+    // A correct tiling has no illegal contacts
+    for (const contacts of findIllegalContacts(rhombs, rhombGraph, all, 1).values()) {
+        assert.deepStrictEqual(contacts, []);
+    }
+
+    // Drop a copy of a non-neighbor's position onto rhombus 0
+    const neighbors = new Set(rhombGraph.get(0).map(data => data.neighborIndex));
+    const stranger = rhombs.findIndex((rhomb, i) => i !== 0 && !neighbors.has(i) && rhomb.type === rhombs[0].type &&
+        rhomb.intersection.line1.family === rhombs[0].intersection.line1.family &&
+        rhomb.intersection.line2.family === rhombs[0].intersection.line2.family);
+    const original = rhombs[stranger].points.map(p => [p[0], p[1]]);
+    rhombs[stranger].points = rhombs[0].points.map(p => [p[0], p[1]]);
+
+    const contacts = findIllegalContacts(rhombs, rhombGraph, [stranger], 1).get(stranger);
+    const strangerNeighbors = new Set(rhombGraph.get(stranger).map(data => data.neighborIndex));
+    assert.ok(contacts.includes(0));
+    assert.ok(contacts.every(i => !strangerNeighbors.has(i)));
+
+    // Sliding half an edge along the line of one of rhombus 0's edges leaves no shared midpoint
+    const [p, q] = rhombs[0].points;
+    rhombs[stranger].points = rhombs[0].points.map(([x, y]) => [x + (q[0] - p[0]) / 2, y + (q[1] - p[1]) / 2]);
+    assert.ok(findIllegalContacts(rhombs, rhombGraph, [stranger], 1).get(stranger).includes(0));
+
+    // Back in place, nothing is flagged
+    rhombs[stranger].points = original;
+    assert.deepStrictEqual(findIllegalContacts(rhombs, rhombGraph, [stranger], 1).get(stranger), []);
+});
+
+test('findSingularPoints finds the five-line center of a zero-gamma grid', () => {
+    const { intersections, singularPoints } = generateTiling({ ...PARAMS, gammas: [0, 0, 0, 0, 0], numLines: 1 });
+    assert.deepStrictEqual(findSingularPoints(intersections), singularPoints);
+
+    const center = singularPoints.find(point => Math.hypot(point.x, point.y) < 1e-9);
+    assert.ok(center);
+    assert.deepStrictEqual([...center.lines].sort(), ['0:0', '1:0', '2:0', '3:0', '4:0']);
+    assert.strictEqual(center.intersectionIndices.length, 10);
+
+    // A generic grid has none
+    assert.deepStrictEqual(generateTiling({ ...PARAMS, numLines: 3 }).singularPoints, []);
+});
+
+test('resolveSingularGammas perturbs a singular grid into one that aligns cleanly', () => {
+    const params = { ...PARAMS, gammas: [0, 0.5, 0.5, 0.5, 0.5], numLines: 2 };
+    assert.strictEqual(resolveSingularGammas({ ...PARAMS, numLines: 2 }), PARAMS.gammas);
+
+    const gammas = resolveSingularGammas(params);
+    const sum = gammas.reduce((total, gamma) => total + gamma, 0);
+    assert.ok(Math.abs(sum - 2) < 1e-12);
+    assert.ok(gammas.every((gamma, k) => gamma !== params.gammas[k] && Math.abs(gamma - params.gammas[k]) < 0.01));
+
+    const { rhombs, rhombGraph, singularPoints } = generateTiling({ ...params, gammas });
+    assert.deepStrictEqual(singularPoints, []);
+    alignRhombuses(rhombs, rhombGraph);
+    assert.deepStrictEqual(findAlignmentConflicts(rhombs, rhombGraph, 0.5), []);
+});
+
+test('multigrids with other family counts produce their rhombus shapes and align cleanly', () => {
+    const cases = [
+        { families: 4, types: { 'rhomb-45': 100, 'rhomb-90': 50 } },
+        { families: 6, types: { 'rhomb-30': 150, 'rhomb-60': 150, 'rhomb-90': 75 } },
+        { families: 7, types: { 'rhomb-26': 175, 'rhomb-51': 175, 'rhomb-77': 175 } }
+    ];
+
+    for (const { families, types } of cases) {
+        const gammas = Array.from({ length: families }, (_, k) => 0.1 + 0.13 * k);
+        const params = { ...PARAMS, gammas, numLines: 2, families };
+        assert.strictEqual(validateParameters(params), null);
+
+        const { rhombs, rhombGraph, singularPoints } = generateTiling(params);
+        assert.deepStrictEqual(singularPoints, []);
+        assert.deepStrictEqual(countRhombTypes(rhombs).byType, types);
+
+        // Both edges of every rhombus have the scale length and meet at the type's angle
+        for (const rhomb of rhombs) {
+            const [p0, p1, , p3] = rhomb.points;
+            assert.ok(Math.abs(distance(p0, p1) - PARAMS.scale) < 1e-9);
+            assert.ok(Math.abs(distance(p0, p3) - PARAMS.scale) < 1e-9);
+        }
+
+        alignRhombuses(rhombs, rhombGraph);
+        assert.deepStrictEqual(findAlignmentConflicts(rhombs, rhombGraph, 0.5), []);
+    }
+
+    assert.match(validateParameters({ ...PARAMS, families: 7 }), /one per family/);
+    assert.match(validateParameters({ ...PARAMS, families: 2, gammas: [0, 0] }), /Families/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { decomposeToRobinsonTriangles, composeKitesAndDarts } = require('../robinson.js');
+const { VERTEX_STARS, getInteriorAngles, matchesCornerCycle, classifyVertex, classifyVertexStars } = require('../vertices.js');
+const { PARAMS: BASE_PARAMS, createAlignedTiling } = require('./helpers.js');
+
+// Eight lines per family give a patch large enough for all seven stars
+const PARAMS = { ...BASE_PARAMS, numLines: 8 };
+const TOLERANCE = PARAMS.scale * 0.01;
+
+test('getInteriorAngles measures reflex corners whichever way the polygon winds', () => {
+    const kite = [[0, 0], [2, 1], [0, 3], [-2, 1]];
+    const dart = [[0, 1], [2, 0], [0, 3], [-2, 0]];
+
+    for (const polygon of [dart, [...dart].reverse()]) {
+        const angles = getInteriorAngles(polygon);
+        assert.strictEqual(angles.filter(angle => angle > 180).length, 1);
+        assert.ok(Math.abs(angles.reduce((sum, angle) => sum + angle, 0) - 360) < 1e-9);
+    }
+    assert.ok(getInteriorAngles(kite).every(angle => angle < 180));
+});
+
+test('classifyVertex matches legal stars in any rotation or reflection', () => {
+    // Corners in the given order around the vertex
+    const vertex = names => ({ corners: names.map((corner, i) => ({ corner, angle: i })) });
+
+    assert.ok(matchesCornerCycle(['dart-side', 'kite-tail', 'dart-side', 'kite-head', 'kite-head'], VERTEX_STARS.jack));
+    assert.strictEqual(classifyVertex(vertex(['kite-side', 'kite-side', 'dart-notch'])), 'ace');
+    assert.strictEqual(classifyVertex(vertex(['kite-side', 'kite-side', 'kite-side', 'kite-side', 'dart-head'])), 'queen');
+
+    // A full turn in the wrong order, an overfilled turn and an open edge vertex
+    assert.strictEqual(classifyVertex(vertex(['kite-tail', 'dart-side', 'kite-tail', 'dart-side'])), 'illegal');
+    assert.strictEqual(classifyVertex(vertex(['dart-notch', 'kite-tail', 'kite-side'])), 'illegal');
+    assert.strictEqual(classifyVertex(vertex(['kite-head', 'kite-head'])), null);
+});
+
+test('classifyVertexStars finds all seven stars and no illegal vertex inside an aligned patch', () => {
+    const { rhombs } = createAlignedTiling(PARAMS);
+    const tiles = composeKitesAndDarts(decomposeToRobinsonTriangles(rhombs, PARAMS), TOLERANCE);
+    const { vertices, counts } = classifyVertexStars(tiles, TOLERANCE);
+
+    assert.strictEqual(vertices.length, Object.values(counts).reduce((sum, count) => sum + count, 0));
+    for (const star of Object.keys(VERTEX_STARS)) {
+        assert.ok(counts[star] > 0, star);
+    }
+
+    // Missing grid lines can break the matching rules at the edge of the patch, but not inside it
+    const radius = PARAMS.numLines * PARAMS.spacing / 2;
+    const isInside = index => Math.hypot(rhombs[index].intersection.x, rhombs[index].intersection.y) < radius;
+    const inside = vertices.filter(vertex => vertex.tiles.every(tile => tiles[tile].sources.every(isInside)));
+    assert.ok(inside.length > 100);
+    assert.strictEqual(inside.filter(vertex => vertex.type === 'illegal').length, 0);
+});
@@ -1,8 +1,62 @@
+/**
+ * Geometry core for the pentagrid method
+ * Pure functions with explicit inputs and return values:
+ * pentagrid -> intersections -> rhombi -> adjacency graph -> alignment.
+ * No p5 dependency, so it runs in the browser and under Node.
+ */
+
 // Constants for mathematical calculations
 const EPSILON = 0.001;
 const RIGHT_ANGLE = 90;
 const ANGLE_TOLERANCE = 0.001;
 
+// Upper bound on lines per family to keep regeneration interactive
+const MAX_NUM_LINES = 30;
+
+// Grid family counts: five gives the pentagrid, 4 and 6 the 8- and 12-fold tilings
+const DEFAULT_FAMILIES = 5;
+const MIN_FAMILIES = 3;
+const MAX_FAMILIES = 12;
+
+// Rhombus types with established names, keyed by their acute angle in degrees
+const RHOMB_TYPE_NAMES = { 72: 'thick', 36: 'thin' };
+
+// Golden ratio
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+// Most passes a relaxation runs before giving up on the rhombi settling
+const MAX_RELAX_PASSES = 1000;
+
+// Gamma shift that breaks up singular points, doubled on each failed attempt
+const SINGULAR_PERTURBATION = 0.001;
+const MAX_PERTURBATION_ATTEMPTS = 8;
+
+// Console verbosity, quietest first; per-rhombus and per-step detail only prints at 'debug'
+const LOG_LEVELS = ['info', 'debug'];
+let logLevel = 'info';
+
+/**
+ * Set how much detail goes to the console
+ * @param {string} level - One of LOG_LEVELS
+ */
+function setLogLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+        console.warn(`Unknown log level ${level}`);
+        return;
+    }
+    logLevel = level;
+}
+
+/**
+ * Log detail that is only wanted while debugging
+ * @param {...*} args - Values passed on to console.log
+ */
+function logDebug(...args) {
+    if (logLevel === 'debug') {
+        console.log(...args);
+    }
+}
+
 /**
  * Determine the intersection point of two line segments
  * Based on line intercept math by Paul Bourke http://paulbourke.net/geometry/pointlineplane/
@@ -74,50 +128,40 @@ function getAngleBetweenLines(x1, y1, x2, y2, x3, y3, x4, y4) {
 }
 
 /**
- * Calculate and create a rhombus from line intersection
+ * Calculate a rhombus from a line intersection
  * @param {Object} intersection - Intersection object with line1, line2, x, y properties
+ * @param {number} scale - Rhombus edge length
+ * @returns {Object|null} Rhombus {points, intersection, type, aligned, originalPoints, locked, perpendicular},
+ *   or null if invalid; perpendicular records whether its edges cross the grid lines at right angles
  */
-function findRhomb(intersection) {
+function findRhomb(intersection, scale) {
     if (!intersection || !intersection.line1 || !intersection.line2) {
         console.warn('Invalid intersection data provided to findRhomb');
-        return;
+        return null;
     }
 
-    // Calculate rhombus angles based on family relationships
+    // Edges run along both families' unit vectors; the first one is reversed when the
+    // families are less than half a turn apart, which keeps the vertices in the same cyclic order
     const angle1 = intersection.line2.angle;
-    const familyDiff = intersection.line2.family - intersection.line1.family;
-    const angleMap = {
-        1: (3 * PI) / 5,
-        2: (1 * PI) / 5,
-        3: (4 * PI) / 5,
-        4: (2 * PI) / 5
-    };
+    const turn = ((intersection.line2.angle - intersection.line1.angle) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+    const angle2 = angle1 + (turn < Math.PI ? Math.PI - turn : 2 * Math.PI - turn);
 
-    const angle2 = angle1 + (angleMap[familyDiff] || 0);
+    // Edge vectors along both directions
+    const dir1 = { x: Math.cos(angle1) * scale, y: Math.sin(angle1) * scale };
+    const dir2 = { x: Math.cos(angle2) * scale, y: Math.sin(angle2) * scale };
 
-    // Create base vectors and calculate rhombus vertices
-    const intersectionPoint = createVector(intersection.x, intersection.y);
-    const halfScale = SCALE / 2;
-
-    // Direction vectors
-    const dir1Vector = createVector(cos(angle1), sin(angle1)).mult(SCALE);
-    const dir2Vector = createVector(cos(angle2), sin(angle2)).mult(SCALE);
-
-    // Shift vectors for rhombus positioning
-    const shift1 = createVector(cos(angle1), sin(angle1)).mult(halfScale);
-    const shift2 = createVector(cos(angle2), sin(angle2)).mult(halfScale);
+    // Shift so the rhombus is centered on the intersection
+    const start = {
+        x: intersection.x - (dir1.x + dir2.x) / 2,
+        y: intersection.y - (dir1.y + dir2.y) / 2
+    };
 
     // Calculate rhombus vertices
-    const start = p5.Vector.sub(intersectionPoint, p5.Vector.add(shift1, shift2));
-    const dir1 = p5.Vector.add(dir1Vector, intersectionPoint).sub(shift1).sub(shift2);
-    const dir2 = p5.Vector.add(dir2Vector, intersectionPoint).sub(shift1).sub(shift2);
-    const dir3 = p5.Vector.add(dir2, dir1).sub(intersectionPoint).add(shift1).add(shift2);
-
     const points = [
         [start.x, start.y],
-        [dir1.x, dir1.y],
-        [dir3.x, dir3.y],
-        [dir2.x, dir2.y]
+        [start.x + dir1.x, start.y + dir1.y],
+        [start.x + dir1.x + dir2.x, start.y + dir1.y + dir2.y],
+        [start.x + dir2.x, start.y + dir2.y]
     ];
 
     // Validate rhombus perpendicularity
@@ -134,90 +178,193 @@ function findRhomb(intersection) {
         Math.abs(angleBetweenPoint01Line2 - RIGHT_ANGLE) < ANGLE_TOLERANCE &&
         Math.abs(angleBetweenPoint12Line1 - RIGHT_ANGLE) < ANGLE_TOLERANCE;
 
-    if (isPerpendicular) {
-        console.log('perpendicular', intersection.line1.family, intersection.line2.family);
-    } else {
-        console.log('not perpendicular', intersection.line1.family, intersection.line2.family);
-        console.log(angleBetweenPoint01Line2, angleBetweenPoint12Line1);
+    if (!isPerpendicular) {
+        logDebug('not perpendicular', intersection.line1.family, intersection.line2.family,
+            angleBetweenPoint01Line2, angleBetweenPoint12Line1);
     }
 
     // Save original points for reset functionality
     const originalPoints = points.map(p => [p[0], p[1]]);
 
-    rhombPoints.push({ points, intersection, aligned: false, originalPoints, locked: false });
+    const type = getRhombType(intersection);
+
+    return { points, intersection, type, aligned: false, originalPoints, locked: false, perpendicular: isPerpendicular };
 }
 
 /**
- * Draw the grid lines with family-specific colors
+ * Generate rhombi from all intersections
+ * @param {Array} intersections - Intersections from findIntersections
+ * @param {number} scale - Rhombus edge length
+ * @returns {Array} Rhombi, one per intersection and in the same order
  */
-function drawGrid() {
-    strokeWeight(1);
+function generateRhombi(intersections, scale) {
+    const rhombs = [];
+    for (const intersection of intersections) {
+        const rhomb = findRhomb(intersection, scale);
+        if (rhomb) {
+            rhombs.push(rhomb);
+        }
+    }
+    return rhombs;
+}
 
-    for (const familyLines of gridLines) {
-        for (const gridLine of familyLines) {
-            const color = colors[gridLine.family];
-            if (color && color.length >= 3) {
-                stroke(color[0], color[1], color[2], 100);
-                line(gridLine.x1, gridLine.y1, gridLine.x2, gridLine.y2);
-            }
+/**
+ * Classify a rhombus by the acute angle between its two families
+ * In the pentagrid, families 1 or 4 apart meet at 72° (thick) and 2 or 3 apart at 36° (thin);
+ * other grids produce further shapes, named after their angle
+ * @param {Object} intersection - Intersection object with line1, line2 properties
+ * @returns {string} 'thick', 'thin', or 'rhomb-<degrees>' for any other acute angle
+ */
+function getRhombType(intersection) {
+    const difference = Math.abs(intersection.line2.angle - intersection.line1.angle) % Math.PI;
+    const degrees = Math.round(Math.min(difference, Math.PI - difference) * 180 / Math.PI);
+    return RHOMB_TYPE_NAMES[degrees] || `rhomb-${degrees}`;
+}
+
+/**
+ * Get the acute angle of a rhombus type
+ * @param {string} type - Type from getRhombType
+ * @returns {number} Angle in whole degrees
+ */
+function getRhombTypeAngle(type) {
+    const named = Object.keys(RHOMB_TYPE_NAMES).find(degrees => RHOMB_TYPE_NAMES[degrees] === type);
+    return Number(named ?? type.replace('rhomb-', ''));
+}
+
+/**
+ * Count thick and thin rhombi, optionally only those near the grid center
+ * Over the whole finite grid both types are equally common; inside the region
+ * covered by every family the thick/thin ratio approaches the golden ratio
+ * @param {Array} rhombs - Rhombi from generateRhombi
+ * @param {number} [radius] - Only count rhombi whose intersection lies within this distance of the origin
+ * @returns {Object} Counts {thick, thin, ratio, byType}, where ratio is null when there are no thin
+ *   rhombi and byType counts every type, including those of non-pentagrid shapes
+ */
+function countRhombTypes(rhombs, radius = Infinity) {
+    const byType = {};
+
+    for (const rhomb of rhombs) {
+        if (Math.hypot(rhomb.intersection.x, rhomb.intersection.y) > radius) {
+            continue;
         }
+        byType[rhomb.type] = (byType[rhomb.type] || 0) + 1;
     }
+
+    const thick = byType.thick || 0;
+    const thin = byType.thin || 0;
+    return { thick, thin, ratio: thin > 0 ? thick / thin : null, byType };
+}
+
+/**
+ * Get the number of grid families, which older parameter objects leave out
+ * @param {Object} params - Grid parameters
+ * @returns {number} Family count
+ */
+function getFamilyCount(params) {
+    return params.families ?? DEFAULT_FAMILIES;
+}
+
+/**
+ * Angle of a grid family's unit vector (the normal to its lines)
+ * Odd family counts spread the vectors over a full turn, as in the pentagrid; even
+ * counts use half a turn, since opposite vectors would give the same lines twice
+ * @param {number} k - Family index
+ * @param {number} [families] - Number of families
+ * @returns {number} Angle in radians
+ */
+function familyAngle(k, families = DEFAULT_FAMILIES) {
+    const turn = families % 2 === 1 ? 2 * Math.PI : Math.PI;
+    return (k * turn) / families;
 }
 
 /**
  * Generate a family of parallel grid lines
- * @param {number} k - Family index (0-4)
+ * @param {number} k - Family index (0 to families - 1)
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, families}
  * @returns {Array} Array of line objects
  */
-function findGridFamily(k) {
-    if (k < 0 || k >= 5) {
-        console.warn(`Invalid family index: ${k}. Expected 0-4.`);
+function findGridFamily(k, params) {
+    const families = getFamilyCount(params);
+    if (k < 0 || k >= families) {
+        console.warn(`Invalid family index: ${k}. Expected 0-${families - 1}.`);
         return [];
     }
 
-    const angle = (k * TWO_PI) / 5;
-    const cosAngle = cos(angle);
-    const sinAngle = sin(angle);
+    const { gammas, numLines, spacing } = params;
 
     const familyLines = [];
 
+    // Lines must be long enough to reach every crossing of the outermost lines,
+    // which moves further out as the angle between neighboring families shrinks
+    const halfLength = Math.max(4, 2 / Math.sin(Math.PI / families)) * (numLines + 1) * spacing;
+
     // Generate parallel lines for this family
-    for (let n = -NUM_LINES; n <= NUM_LINES; n++) {
-        const d = n * SPACING + GAMMAS[k] * SPACING;
-
-        // Calculate line endpoints using parametric form
-        const x1 = -GRID_SIZE * sinAngle + cosAngle * d;
-        const y1 = GRID_SIZE * cosAngle + sinAngle * d;
-        const x2 = GRID_SIZE * sinAngle + cosAngle * d;
-        const y2 = -GRID_SIZE * cosAngle + sinAngle * d;
-
-        // Store line in standard form ax + by = c
-        familyLines.push({
-            a: sinAngle,       // coefficient of x
-            b: -cosAngle,      // coefficient of y
-            c: d,              // constant term
-            angle,             // line angle
-            family: k,         // family index
-            n,                 // line number within family
-            x1, y1, x2, y2     // endpoints
-        });
+    for (let n = -numLines; n <= numLines; n++) {
+        const d = n * spacing + gammas[k] * spacing;
+        familyLines.push(createGridLine(k, n, d, halfLength, families));
     }
 
     return familyLines;
 }
 
+/**
+ * Create one grid line, the set of points whose projection onto the family's unit vector is d
+ * @param {number} k - Family index
+ * @param {number} n - Line number within the family
+ * @param {number} d - Distance of the line from the origin along the unit vector
+ * @param {number} halfLength - Distance from the line's midpoint to each endpoint
+ * @param {number} [families] - Number of families
+ * @returns {Object} Line {a, b, c, angle, family, n, x1, y1, x2, y2}
+ */
+function createGridLine(k, n, d, halfLength, families = DEFAULT_FAMILIES) {
+    const angle = familyAngle(k, families);
+    const cosAngle = Math.cos(angle);
+    const sinAngle = Math.sin(angle);
+
+    // Calculate line endpoints using parametric form
+    const x1 = -halfLength * sinAngle + cosAngle * d;
+    const y1 = halfLength * cosAngle + sinAngle * d;
+    const x2 = halfLength * sinAngle + cosAngle * d;
+    const y2 = -halfLength * cosAngle + sinAngle * d;
+
+    // Store line in standard form ax + by = c
+    return {
+        a: sinAngle,       // coefficient of x
+        b: -cosAngle,      // coefficient of y
+        c: d,              // constant term
+        angle,             // line angle
+        family: k,         // family index
+        n,                 // line number within family
+        x1, y1, x2, y2     // endpoints
+    };
+}
+
+/**
+ * Generate every family of parallel grid lines
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, families}
+ * @returns {Array} Array of line families
+ */
+function generateGridFamilies(params) {
+    const gridLines = [];
+    for (let familyIndex = 0; familyIndex < getFamilyCount(params); familyIndex++) {
+        gridLines.push(findGridFamily(familyIndex, params));
+    }
+    return gridLines;
+}
+
 /**
  * Find all intersections between grid line families
+ * @param {Array} gridLines - Array of line families
+ * @returns {Array} Intersection objects with x, y, line1, line2 properties
  */
-function findIntersections() {
+function findIntersections(gridLines) {
+    const intersections = [];
+
     if (!gridLines || gridLines.length === 0) {
         console.warn('No grid lines available for intersection calculation');
-        return;
+        return intersections;
     }
 
-    // Clear previous intersections
-    intersections.length = 0;
-
     // Check all pairs of different families
     for (let i = 0; i < gridLines.length; i++) {
         for (let j = i + 1; j < gridLines.length; j++) {
@@ -235,74 +382,90 @@ function findIntersections() {
             }
         }
     }
-}
 
-/**
- * Draw intersection points as small circles
- */
-function drawIntersections() {
-    fill(0);
-    strokeWeight(3);
-
-    for (const intersection of intersections) {
-        ellipse(intersection.x, intersection.y, 2, 2);
-    }
+    return intersections;
 }
 
 /**
- * Draw all rhombus shapes
+ * Find singular points where three or more grid lines meet
+ * Each pair of lines through such a point yields its own intersection, so the
+ * rhombi there overlap and the graph can't tell them apart along a line
+ * @param {Array} intersections - Intersections from findIntersections
+ * @param {number} [tolerance] - Distance below which intersections count as the same point
+ * @returns {Array} Singular points {x, y, lines, intersectionIndices}, where lines holds the line keys
  */
-function drawRhomb() {
-    noFill();
-    stroke(0);
-    strokeWeight(1);
-
-    for (const rhomb of rhombPoints) {
-        if (!rhomb.points || rhomb.points.length === 0) {
-            continue;
+function findSingularPoints(intersections, tolerance = EPSILON) {
+    const clusters = [];
+    const cells = new Map();
+    const cellKey = (cx, cy) => `${cx},${cy}`;
+
+    intersections.forEach((intersection, index) => {
+        const cx = Math.floor(intersection.x / tolerance);
+        const cy = Math.floor(intersection.y / tolerance);
+
+        // A matching point can only sit in this cell or one next to it
+        let cluster = null;
+        for (let dx = -1; dx <= 1 && !cluster; dx++) {
+            for (let dy = -1; dy <= 1 && !cluster; dy++) {
+                const candidates = cells.get(cellKey(cx + dx, cy + dy)) || [];
+                cluster = candidates.find(c => Math.hypot(c.x - intersection.x, c.y - intersection.y) < tolerance) || null;
+            }
         }
 
-        beginShape();
-        for (const point of rhomb.points) {
-            vertex(point[0], point[1]);
+        if (!cluster) {
+            cluster = { x: intersection.x, y: intersection.y, lines: new Set(), intersectionIndices: [] };
+            clusters.push(cluster);
+            const key = cellKey(cx, cy);
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(cluster);
         }
-        endShape(CLOSE);
-    }
+
+        cluster.lines.add(getLineKey(intersection.line1));
+        cluster.lines.add(getLineKey(intersection.line2));
+        cluster.intersectionIndices.push(index);
+    });
+
+    return clusters
+        .filter(cluster => cluster.lines.size >= 3)
+        .map(cluster => ({ ...cluster, lines: [...cluster.lines] }));
 }
 
 /**
- * Draw the adjacency graph showing connections between rhombuses
+ * Shift the gammas by a small amount without changing their sum
+ * The weights are fractional parts of multiples of the golden ratio, so no
+ * simple relation between the gammas survives the shift
+ * @param {Array} gammas - Offsets of the five grid families
+ * @param {number} amount - Size of the shift
+ * @returns {Array} New gammas with the same sum
  */
-function drawGraph() {
-    stroke(255, 0, 255); // Bright magenta
-    strokeWeight(3);
-
-    let edgeCount = 0;
+function perturbGammas(gammas, amount) {
+    const weights = gammas.map((_, k) => ((k + 1) * GOLDEN_RATIO) % 1);
+    const mean = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
 
-    // Draw edges between adjacent rhombuses
-    for (let i = 0; i < rhombPoints.length; i++) {
-        const rhomb = rhombPoints[i];
-        const neighbors = rhombGraph.get(i) || [];
-
-        // Get center of current rhombus
-        const centerX = rhomb.intersection.x;
-        const centerY = rhomb.intersection.y;
-
-        // Draw line to each neighbor
-        for (const neighborIdx of neighbors) {
-            // Only draw each edge once (from lower index to higher index)
-            if (neighborIdx > i) {
-                const neighbor = rhombPoints[neighborIdx];
-                const neighborCenterX = neighbor.intersection.x;
-                const neighborCenterY = neighbor.intersection.y;
+    return gammas.map((gamma, k) => gamma + amount * (weights[k] - mean));
+}
 
-                line(centerX, centerY, neighborCenterX, neighborCenterY);
-                edgeCount++;
-            }
+/**
+ * Find gammas close to the given ones whose grid has no singular points
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing}
+ * @returns {Array|null} The original gammas if the grid is already regular, perturbed
+ *   gammas with the same sum, or null if no attempt removed every singular point
+ */
+function resolveSingularGammas(params) {
+    for (let attempt = 0; attempt <= MAX_PERTURBATION_ATTEMPTS; attempt++) {
+        const gammas = attempt === 0
+            ? params.gammas
+            : perturbGammas(params.gammas, SINGULAR_PERTURBATION * 2 ** (attempt - 1));
+        const intersections = findIntersections(generateGridFamilies({ ...params, gammas }));
+
+        if (findSingularPoints(intersections).length === 0) {
+            return gammas;
         }
     }
 
-    console.log(`Drew ${edgeCount} graph edges`);
+    return null;
 }
 
 /**
@@ -338,94 +501,235 @@ function isPointInPolygon(x, y, polygon) {
 }
 
 /**
- * Build adjacency graph for rhombuses
- * Two rhombuses are adjacent if they share an edge on the same grid line
- * For each rhombus at intersection (line_i, line_j), find neighbors by looking at
- * adjacent intersections along line_i and line_j
- */
-function buildRhombGraph() {
-    rhombGraph.clear();
-
-    // Initialize adjacency list for each rhombus
-    for (let i = 0; i < rhombPoints.length; i++) {
-        rhombGraph.set(i, []);
-    }
-
-    // For each rhombus, find its 4 neighbors by looking at intersections
-    // on the same grid lines
-    for (let i = 0; i < rhombPoints.length; i++) {
-        const rhomb = rhombPoints[i];
-        const line1 = rhomb.intersection.line1;
-        const line2 = rhomb.intersection.line2;
-
-        // Find all intersections on line1 and line2
-        const intersectionsOnLine1 = [];
-        const intersectionsOnLine2 = [];
-
-        for (let j = 0; j < rhombPoints.length; j++) {
-            if (i === j) continue;
-
-            const otherRhomb = rhombPoints[j];
-            const otherLine1 = otherRhomb.intersection.line1;
-            const otherLine2 = otherRhomb.intersection.line2;
-
-            // Check if other rhombus shares line1
-            if ((otherLine1.family === line1.family && otherLine1.n === line1.n) ||
-                (otherLine2.family === line1.family && otherLine2.n === line1.n)) {
-                intersectionsOnLine1.push({
-                    index: j,
-                    x: otherRhomb.intersection.x,
-                    y: otherRhomb.intersection.y
-                });
+ * Calculate the signed area of a polygon
+ * @param {Array} points - Corners [x, y] in order around the polygon
+ * @returns {number} Area, positive if the corners wind the same way as the x axis turns into the y axis
+ */
+function getSignedArea(points) {
+    let area = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        area += p[0] * q[1] - q[0] * p[1];
+    });
+    return area / 2;
+}
+
+/**
+ * Copy the corners of a rhombus, winding them so its signed area is positive
+ * @param {Object} rhomb - Rhombus with points array
+ * @returns {Array} Corners [x, y]
+ */
+function getPositivePoints(rhomb) {
+    const points = rhomb.points.map(p => [p[0], p[1]]);
+    return getSignedArea(points) < 0 ? points.reverse() : points;
+}
+
+/**
+ * Clip a polygon to a convex polygon (Sutherland-Hodgman)
+ * @param {Array} subject - Corners [x, y] of the polygon to clip, either convex or not
+ * @param {Array} clip - Corners [x, y] of a convex polygon with positive signed area
+ * @returns {Array} Corners of the part of subject inside clip, empty if they don't meet
+ */
+function clipToConvexPolygon(subject, clip) {
+    let output = subject;
+
+    clip.forEach((a, i) => {
+        const b = clip[(i + 1) % clip.length];
+        const side = p => (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+        const input = output;
+        output = [];
+
+        input.forEach((p, j) => {
+            const q = input[(j + 1) % input.length];
+            const sideP = side(p);
+            const sideQ = side(q);
+
+            if (sideP >= 0) {
+                output.push(p);
+            }
+            // The edge crosses the clip line
+            if ((sideP >= 0) !== (sideQ >= 0)) {
+                const t = sideP / (sideP - sideQ);
+                output.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])]);
             }
+        });
+    });
 
-            // Check if other rhombus shares line2
-            if ((otherLine1.family === line2.family && otherLine1.n === line2.n) ||
-                (otherLine2.family === line2.family && otherLine2.n === line2.n)) {
-                intersectionsOnLine2.push({
-                    index: j,
-                    x: otherRhomb.intersection.x,
-                    y: otherRhomb.intersection.y
-                });
+    return output;
+}
+
+/**
+ * Create a lookup that merges points closer than a tolerance into shared vertices
+ * Points are bucketed on a grid of the tolerance and checked against the neighboring
+ * buckets too, so two points either side of a bucket boundary still merge
+ * @param {number} tolerance - Distance below which two points count as the same vertex
+ * @returns {Object} Merger {vertices, findVertex}, where findVertex(p, add = true) returns the
+ *   index in vertices of the first vertex near p, adding p as a new vertex if there is none, or
+ *   -1 if there is none and add is false
+ */
+function createVertexMerger(tolerance) {
+    const vertices = [];
+    const buckets = new Map();
+
+    const findVertex = (p, add = true) => {
+        const cx = Math.floor(p[0] / tolerance);
+        const cy = Math.floor(p[1] / tolerance);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const index of buckets.get(`${cx + dx},${cy + dy}`) || []) {
+                    if (Math.hypot(vertices[index][0] - p[0], vertices[index][1] - p[1]) < tolerance) {
+                        return index;
+                    }
+                }
             }
         }
 
-        // Find the closest neighbor on line1 (in both directions along the line)
-        const neighborsOnLine1 = findClosestNeighborsOnLine(
-            rhomb.intersection.x, rhomb.intersection.y, line1, intersectionsOnLine1
-        );
-
-        // Find the closest neighbor on line2 (in both directions along the line)
-        const neighborsOnLine2 = findClosestNeighborsOnLine(
-            rhomb.intersection.x, rhomb.intersection.y, line2, intersectionsOnLine2
-        );
+        if (!add) {
+            return -1;
+        }
 
-        // Add neighbors on line1 with shared line info and direction
-        for (const neighborData of neighborsOnLine1) {
-            rhombGraph.get(i).push({
-                neighborIndex: neighborData.index,
-                sharedLine: line1,
-                direction: neighborData.direction  // 'forward' or 'backward' relative to this rhombus
-            });
+        vertices.push(p);
+        const key = `${cx},${cy}`;
+        if (!buckets.has(key)) {
+            buckets.set(key, []);
         }
+        buckets.get(key).push(vertices.length - 1);
+        return vertices.length - 1;
+    };
+
+    return { vertices, findVertex };
+}
+
+/**
+ * Find the axis-aligned bounds of a polygon
+ * @param {Array} points - Corners [x, y]
+ * @returns {Object} Bounds {minX, minY, maxX, maxY}
+ */
+function getPolygonBounds(points) {
+    return {
+        minX: Math.min(...points.map(p => p[0])),
+        minY: Math.min(...points.map(p => p[1])),
+        maxX: Math.max(...points.map(p => p[0])),
+        maxY: Math.max(...points.map(p => p[1]))
+    };
+}
+
+/**
+ * Build adjacency graph for rhombuses
+ * Two rhombuses are adjacent if they share an edge on the same grid line
+ * For each rhombus at intersection (line_i, line_j), its neighbors are the
+ * adjacent intersections along line_i and line_j, looked up in a per-line index
+ * @param {Array} rhombs - Rhombi from generateRhombi
+ * @returns {Map} Map from rhomb index to array of {neighborIndex, sharedLine, direction} objects
+ */
+function buildRhombGraph(rhombs) {
+    const rhombGraph = new Map();
 
-        // Add neighbors on line2 with shared line info and direction
-        for (const neighborData of neighborsOnLine2) {
-            rhombGraph.get(i).push({
-                neighborIndex: neighborData.index,
-                sharedLine: line2,
-                direction: neighborData.direction
-            });
+    const lineIndex = buildLineIndex(rhombs);
+
+    // Neighbors of each rhombus found along its line1 and line2
+    const lineNeighbors = rhombs.map(() => [[], []]);
+
+    // Adjacent entries in each sorted bucket are neighbors along that line
+    for (const entries of lineIndex.values()) {
+        for (let position = 0; position < entries.length; position++) {
+            const { index, slot, line } = entries[position];
+
+            const forwardIndex = findNeighborInLineIndex(entries, position, 1);
+            const backwardIndex = findNeighborInLineIndex(entries, position, -1);
+
+            // Add neighbors with shared line info and direction
+            // ('forward' or 'backward' relative to this rhombus)
+            if (forwardIndex !== null) {
+                lineNeighbors[index][slot].push({ neighborIndex: forwardIndex, sharedLine: line, direction: 'forward' });
+            }
+            if (backwardIndex !== null) {
+                lineNeighbors[index][slot].push({ neighborIndex: backwardIndex, sharedLine: line, direction: 'backward' });
+            }
         }
     }
 
-    console.log(`Built graph with ${rhombPoints.length} vertices`);
+    // Build adjacency list for each rhombus, line1 neighbors first
+    for (let i = 0; i < rhombs.length; i++) {
+        rhombGraph.set(i, [...lineNeighbors[i][0], ...lineNeighbors[i][1]]);
+    }
+
+    logDebug(`Built graph with ${rhombs.length} vertices`);
     // Log degree distribution
     let totalDegree = 0;
-    for (let i = 0; i < rhombPoints.length; i++) {
+    for (let i = 0; i < rhombs.length; i++) {
         totalDegree += rhombGraph.get(i).length;
     }
-    console.log(`Average degree: ${(totalDegree / rhombPoints.length).toFixed(2)}`);
+    logDebug(`Average degree: ${(totalDegree / rhombs.length).toFixed(2)}`);
+
+    return rhombGraph;
+}
+
+/**
+ * Get a unique key for a grid line
+ * @param {Object} line - Grid line object
+ * @returns {string} Key of the form "family:n"
+ */
+function getLineKey(line) {
+    return `${line.family}:${line.n}`;
+}
+
+/**
+ * Bucket rhombuses by the grid lines through their intersections
+ * Each bucket is sorted by the projection of the intersection onto the line direction
+ * @param {Array} rhombs - Rhombi from generateRhombi
+ * @returns {Map} Map from line key to sorted array of {index, slot, line, projection},
+ *   where slot is 0 for the rhombus's line1 and 1 for its line2
+ */
+function buildLineIndex(rhombs) {
+    const lineIndex = new Map();
+
+    for (let i = 0; i < rhombs.length; i++) {
+        const intersection = rhombs[i].intersection;
+        const lines = [intersection.line1, intersection.line2];
+
+        for (let slot = 0; slot < lines.length; slot++) {
+            const line = lines[slot];
+            const key = getLineKey(line);
+            if (!lineIndex.has(key)) {
+                lineIndex.set(key, []);
+            }
+
+            // Project onto the line direction (x1, y1) -> (x2, y2)
+            const lineDx = line.x2 - line.x1;
+            const lineDy = line.y2 - line.y1;
+            const lineLength = Math.sqrt(lineDx * lineDx + lineDy * lineDy);
+            const projection = ((intersection.x - line.x1) * lineDx + (intersection.y - line.y1) * lineDy) / lineLength;
+
+            lineIndex.get(key).push({ index: i, slot, line, projection });
+        }
+    }
+
+    for (const entries of lineIndex.values()) {
+        entries.sort((a, b) => a.projection - b.projection);
+    }
+
+    return lineIndex;
+}
+
+/**
+ * Find the closest entry in one direction along a sorted line bucket
+ * Entries at the same point (within EPSILON) are skipped
+ * @param {Array} entries - Sorted array of {index, projection}
+ * @param {number} position - Position of the current rhombus in the bucket
+ * @param {number} step - 1 for forward, -1 for backward
+ * @returns {number|null} Rhombus index of the neighbor, or null if none
+ */
+function findNeighborInLineIndex(entries, position, step) {
+    const projection = entries[position].projection;
+
+    for (let j = position + step; j >= 0 && j < entries.length; j += step) {
+        if (Math.abs(entries[j].projection - projection) > EPSILON) {
+            return entries[j].index;
+        }
+    }
+
+    return null;
 }
 
 /**
@@ -495,12 +799,14 @@ function findClosestNeighborsOnLine(x, y, line, candidates) {
 
 /**
  * Get unaligned adjacent rhombuses for a given rhombus
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
  * @param {number} rhombIndex - Index of the rhombus
- * @returns {Array} Array of {neighborIndex, sharedLine} objects for unaligned neighbors
+ * @returns {Array} Array of {neighborIndex, sharedLine, direction} objects for unaligned neighbors
  */
-function getUnalignedAdjacentTiles(rhombIndex) {
+function getUnalignedAdjacentTiles(rhombs, rhombGraph, rhombIndex) {
     const adjacentData = rhombGraph.get(rhombIndex) || [];
-    return adjacentData.filter(data => !rhombPoints[data.neighborIndex].aligned);
+    return adjacentData.filter(data => !rhombs[data.neighborIndex].aligned);
 }
 
 /**
@@ -612,35 +918,319 @@ function realignRhombus(rhomb, offset) {
     }
 }
 
+/**
+ * Find the graph neighbor a dragged rhombus should snap to
+ * Uses the same shared-line edge matching as the alignment, picking the
+ * neighbor that needs the smallest move
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {number} index - Index of the dragged rhombus
+ * @param {number} maxDistance - Largest snap distance
+ * @param {Set} [ignored] - Neighbor indices not to snap to, such as the rest of a dragged group
+ * @returns {Object|null} {neighborIndex, sharedLine, offset, edge, distance}, where edge is the
+ *   neighbor's edge to snap onto, or null if no neighbor is close enough
+ */
+function findSnapTarget(rhombs, rhombGraph, index, maxDistance, ignored = new Set()) {
+    const rhomb = rhombs[index];
+    let best = null;
+
+    for (const { neighborIndex, sharedLine, direction } of rhombGraph.get(index) || []) {
+        if (ignored.has(neighborIndex)) {
+            continue;
+        }
+
+        const neighbor = rhombs[neighborIndex];
+
+        // Seen from the neighbor, this rhombus lies in the opposite direction
+        const reverseDirection = direction === 'forward' ? 'backward' : 'forward';
+        const edge = findEdgeOnLine(neighbor, sharedLine, reverseDirection);
+        if (!edge) {
+            continue;
+        }
+
+        const offset = calculateAlignmentOffset(neighbor, rhomb, sharedLine, reverseDirection);
+        const distance = Math.hypot(offset.x, offset.y);
+
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+            best = { neighborIndex, sharedLine, offset, edge, distance };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find where a dragged group of rhombi should snap
+ * The group moves rigidly, so only neighbors outside it count, and the member
+ * closest to one of them decides the move
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {Array} indices - Indices of the dragged rhombi
+ * @param {number} maxDistance - Largest snap distance
+ * @returns {Object|null} Snap target from findSnapTarget plus the index of the member that
+ *   snaps, or null if no member is close enough to a neighbor
+ */
+function findGroupSnapTarget(rhombs, rhombGraph, indices, maxDistance) {
+    const group = new Set(indices);
+    let best = null;
+
+    for (const index of indices) {
+        const target = findSnapTarget(rhombs, rhombGraph, index, maxDistance, group);
+        if (target && (!best || target.distance < best.distance)) {
+            best = { ...target, index };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find the rhombi whose centers lie inside a rectangle
+ * @param {Array} rhombs - All rhombi
+ * @param {Object} rect - Rectangle {x, y, width, height}; negative sizes extend left or up
+ * @returns {Array} Indices of the enclosed rhombi
+ */
+function findRhombsInRect(rhombs, rect) {
+    const minX = Math.min(rect.x, rect.x + rect.width);
+    const maxX = Math.max(rect.x, rect.x + rect.width);
+    const minY = Math.min(rect.y, rect.y + rect.height);
+    const maxY = Math.max(rect.y, rect.y + rect.height);
+
+    const indices = [];
+    rhombs.forEach((rhomb, index) => {
+        const x = rhomb.points.reduce((sum, p) => sum + p[0], 0) / rhomb.points.length;
+        const y = rhomb.points.reduce((sum, p) => sum + p[1], 0) / rhomb.points.length;
+        if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+            indices.push(index);
+        }
+    });
+
+    return indices;
+}
+
+/**
+ * Measure how far two edges run along the same line
+ * @param {Array} a1 - Start [x, y] of the first edge
+ * @param {Array} a2 - End [x, y] of the first edge
+ * @param {Array} b1 - Start [x, y] of the second edge
+ * @param {Array} b2 - End [x, y] of the second edge
+ * @param {number} tolerance - Largest distance of the second edge from the first's line
+ * @returns {number} Length of the stretch both edges cover, 0 if they aren't on one line
+ */
+function getEdgeOverlapLength(a1, a2, b1, b2, tolerance) {
+    const length = Math.hypot(a2[0] - a1[0], a2[1] - a1[1]);
+    const dir = [(a2[0] - a1[0]) / length, (a2[1] - a1[1]) / length];
+    const across = p => (p[0] - a1[0]) * dir[1] - (p[1] - a1[1]) * dir[0];
+    const along = p => (p[0] - a1[0]) * dir[0] + (p[1] - a1[1]) * dir[1];
+
+    if (Math.abs(across(b1)) > tolerance || Math.abs(across(b2)) > tolerance) {
+        return 0;
+    }
+
+    const start = Math.max(0, Math.min(along(b1), along(b2)));
+    const end = Math.min(length, Math.max(along(b1), along(b2)));
+    return Math.max(0, end - start);
+}
+
+/**
+ * Find rhombi that touch or overlap dropped rhombi without being their graph neighbors
+ * In a valid tiling every shared edge is between graph neighbors and no two tiles overlap,
+ * so running along part of another tile's edge or covering part of it is illegal. The
+ * dropped rhombi are bucketed on a grid, and only the rhombi reaching one of their cells
+ * are compared with them
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {Array} indices - Indices of the rhombi to check
+ * @param {number} tolerance - Shortest shared stretch of edge that counts as touching, and the
+ *   largest distance between edges on one line; overlaps up to this width along an edge are ignored
+ * @returns {Map} Map from each checked index to the indices of the non-neighbors it touches
+ */
+function findIllegalContacts(rhombs, rhombGraph, indices, tolerance) {
+    const contacts = new Map(indices.map(index => [index, []]));
+    if (indices.length === 0) {
+        return contacts;
+    }
+
+    const shapes = new Map();
+    const getShape = index => {
+        if (!shapes.has(index)) {
+            const points = getPositivePoints(rhombs[index]);
+            shapes.set(index, { points, bounds: getPolygonBounds(points) });
+        }
+        return shapes.get(index);
+    };
+
+    const cellSize = Math.max(...indices.map(index => {
+        const { bounds } = getShape(index);
+        return Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    }));
+    const cellKeys = bounds => {
+        const keys = [];
+        for (let cx = Math.floor((bounds.minX - tolerance) / cellSize); cx <= Math.floor((bounds.maxX + tolerance) / cellSize); cx++) {
+            for (let cy = Math.floor((bounds.minY - tolerance) / cellSize); cy <= Math.floor((bounds.maxY + tolerance) / cellSize); cy++) {
+                keys.push(`${cx},${cy}`);
+            }
+        }
+        return keys;
+    };
+
+    const buckets = new Map();
+    const neighbors = new Map();
+    for (const index of contacts.keys()) {
+        for (const key of cellKeys(getShape(index).bounds)) {
+            if (!buckets.has(key)) {
+                buckets.set(key, []);
+            }
+            buckets.get(key).push(index);
+        }
+        neighbors.set(index, new Set((rhombGraph.get(index) || []).map(data => data.neighborIndex)));
+    }
+
+    const touches = (shape, other) => {
+        const edges = points => points.map((p, i) => [p, points[(i + 1) % points.length]]);
+        const otherEdges = edges(other.points);
+        if (edges(shape.points).some(([a1, a2]) => otherEdges.some(([b1, b2]) =>
+            getEdgeOverlapLength(a1, a2, b1, b2, tolerance) > tolerance))) {
+            return true;
+        }
+
+        const [p, q] = shape.points;
+        const overlap = clipToConvexPolygon(shape.points, other.points);
+        return overlap.length >= 3 && getSignedArea(overlap) > tolerance * Math.hypot(q[0] - p[0], q[1] - p[1]);
+    };
+
+    // Rhombi are visited in index order, so each list of contacts comes out sorted
+    rhombs.forEach((rhomb, other) => {
+        const bounds = getPolygonBounds(rhomb.points);
+        const nearby = new Set();
+        for (const key of cellKeys(bounds)) {
+            for (const index of buckets.get(key) || []) {
+                nearby.add(index);
+            }
+        }
+
+        for (const index of nearby) {
+            const shape = getShape(index);
+            if (index === other || neighbors.get(index).has(other) ||
+                bounds.maxX < shape.bounds.minX - tolerance || bounds.minX > shape.bounds.maxX + tolerance ||
+                bounds.maxY < shape.bounds.minY - tolerance || bounds.minY > shape.bounds.maxY + tolerance) {
+                continue;
+            }
+            if (touches(shape, getShape(other))) {
+                contacts.get(index).push(other);
+            }
+        }
+    });
+
+    return contacts;
+}
+
+/**
+ * Create the initial queue for progressive alignment
+ * Locked (manually moved) rhombuses are used as seeds; otherwise rhombus 0 is the seed
+ * @param {Array} rhombs - All rhombi
+ * @returns {Array} Queue of rhombus indices
+ */
+function createAlignmentQueue(rhombs) {
+    const queue = [];
+
+    for (let i = 0; i < rhombs.length; i++) {
+        if (rhombs[i].locked) {
+            queue.push(i);
+        }
+    }
+
+    if (queue.length === 0 && rhombs.length > 0) {
+        queue.push(0);
+        rhombs[0].aligned = true;
+    }
+
+    return queue;
+}
+
+/**
+ * Process one progressive alignment step
+ * Aligns at most one unaligned neighbor of the rhombus at the front of the queue
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {Array} queue - Alignment queue, modified in place
+ * @returns {Object|null} {startIndex, neighborIndex, offset} for the step, where neighborIndex is
+ *   null if nothing was aligned and offset is null if the neighbor was locked; null if the queue is empty
+ */
+function stepAlignmentQueue(rhombs, rhombGraph, queue) {
+    if (queue.length === 0) {
+        return null;
+    }
+
+    // Get the next rhombus to process
+    const startingTileIndex = queue.shift();
+    const startingTile = rhombs[startingTileIndex];
+
+    // Find the (up to 4) tiles that are adjacent to it and unaligned
+    const adjacentTileData = getUnalignedAdjacentTiles(rhombs, rhombGraph, startingTileIndex);
+
+    if (adjacentTileData.length === 0) {
+        return { startIndex: startingTileIndex, neighborIndex: null, offset: null };
+    }
+
+    // Align one neighbor per step
+    const { neighborIndex, sharedLine, direction } = adjacentTileData[0];
+    const adjacentTile = rhombs[neighborIndex];
+    let offset = null;
+
+    // Skip if this rhombus is locked (manually moved)
+    if (!adjacentTile.locked) {
+        // Move it to touch this tile using the shared line information and direction
+        offset = calculateAlignmentOffset(startingTile, adjacentTile, sharedLine, direction);
+        realignRhombus(adjacentTile, offset);
+    }
+
+    // Mark it as aligned (whether locked or not)
+    adjacentTile.aligned = true;
+
+    // Add it to the queue
+    queue.push(neighborIndex);
+
+    // Add remaining neighbors back to the front of the queue for next steps
+    for (let i = 1; i < adjacentTileData.length; i++) {
+        queue.unshift(startingTileIndex);
+    }
+
+    return { startIndex: startingTileIndex, neighborIndex, offset };
+}
+
 /**
  * Align all rhombuses using BFS algorithm
+ * @param {Array} rhombs - All rhombi, moved in place
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @returns {number} Number of aligned rhombuses
  */
-function alignRhombuses() {
-    if (rhombPoints.length === 0) {
+function alignRhombuses(rhombs, rhombGraph) {
+    if (rhombs.length === 0) {
         console.warn('No rhombuses to align');
-        return;
+        return 0;
     }
 
     // Start with the first rhombus
     const queue = [0];
-    rhombPoints[0].aligned = true;
+    rhombs[0].aligned = true;
 
     let alignedCount = 1;
 
     while (queue.length > 0) {
         // Get the front element of the queue
         const startingTileIndex = queue.shift();
-        const startingTile = rhombPoints[startingTileIndex];
+        const startingTile = rhombs[startingTileIndex];
 
         // Find the (up to 4) tiles that are adjacent to it and unaligned
-        const adjacentTileData = getUnalignedAdjacentTiles(startingTileIndex);
+        const adjacentTileData = getUnalignedAdjacentTiles(rhombs, rhombGraph, startingTileIndex);
 
         // For each tile we found
         for (const data of adjacentTileData) {
             const adjacentIndex = data.neighborIndex;
             const sharedLine = data.sharedLine;
             const direction = data.direction;
-            const adjacentTile = rhombPoints[adjacentIndex];
+            const adjacentTile = rhombs[adjacentIndex];
 
             // Move it to touch this tile using the shared line information and direction
             const offset = calculateAlignmentOffset(startingTile, adjacentTile, sharedLine, direction);
@@ -655,14 +1245,236 @@ function alignRhombuses() {
         }
     }
 
-    console.log(`Aligned ${alignedCount} out of ${rhombPoints.length} rhombuses`);
+    logDebug(`Aligned ${alignedCount} out of ${rhombs.length} rhombuses`);
+    return alignedCount;
+}
+
+/**
+ * Find graph neighbors that don't share their edge after alignment
+ * BFS fronts grown from inconsistent anchors meet with gaps or overlaps, which
+ * shows up as a residual offset between the two edges on the shared line
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {number} tolerance - Largest residual distance that still counts as sharing the edge
+ * @returns {Array} One {index, neighborIndex, sharedLine, offset, error, edge, neighborEdge} per
+ *   conflicting pair of aligned rhombi, where offset would move the neighbor onto the rhombus
+ */
+function findAlignmentConflicts(rhombs, rhombGraph, tolerance) {
+    const conflicts = [];
+
+    for (const [index, neighbors] of rhombGraph) {
+        if (!rhombs[index].aligned) {
+            continue;
+        }
+
+        for (const { neighborIndex, sharedLine, direction } of neighbors) {
+            // Check each pair once, and only where both fronts have arrived
+            if (neighborIndex < index || !rhombs[neighborIndex].aligned) {
+                continue;
+            }
+
+            const offset = calculateAlignmentOffset(rhombs[index], rhombs[neighborIndex], sharedLine, direction);
+            const error = Math.hypot(offset.x, offset.y);
+
+            if (error > tolerance) {
+                const reverseDirection = direction === 'forward' ? 'backward' : 'forward';
+                conflicts.push({
+                    index,
+                    neighborIndex,
+                    sharedLine,
+                    offset,
+                    error,
+                    edge: findEdgeOnLine(rhombs[index], sharedLine, direction),
+                    neighborEdge: findEdgeOnLine(rhombs[neighborIndex], sharedLine, reverseDirection)
+                });
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Count the graph edges whose two rhombi share their edge, whatever their alignment flags
+ * A tiling assembled by hand is complete once every edge is satisfied
+ * @param {Array} rhombs - All rhombi
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {number} tolerance - Largest residual distance that still counts as sharing the edge
+ * @returns {Object} Counts {satisfied, total}, with each pair of neighbors counted once
+ */
+function countSatisfiedEdges(rhombs, rhombGraph, tolerance) {
+    let satisfied = 0;
+    let total = 0;
+
+    for (const [index, neighbors] of rhombGraph) {
+        for (const { neighborIndex, sharedLine, direction } of neighbors) {
+            if (neighborIndex < index) {
+                continue;
+            }
+
+            const offset = calculateAlignmentOffset(rhombs[index], rhombs[neighborIndex], sharedLine, direction);
+            if (Math.hypot(offset.x, offset.y) <= tolerance) {
+                satisfied++;
+            }
+            total++;
+        }
+    }
+
+    return { satisfied, total };
+}
+
+/**
+ * Scatter rhombi to random positions, keeping their shapes and orientations
+ * Clears the aligned, locked and illegal flags, since no rhombus is placed any more
+ * @param {Array} rhombs - All rhombi, moved in place
+ * @param {Object} region - Rectangle {x, y, width, height} that receives the rhombus centers
+ * @param {Function} [random] - Source of uniform numbers in [0, 1), such as a seeded generator
+ */
+function scrambleRhombuses(rhombs, region, random = Math.random) {
+    for (const rhomb of rhombs) {
+        const center = rhomb.points.reduce((sum, p) => [sum[0] + p[0] / rhomb.points.length, sum[1] + p[1] / rhomb.points.length], [0, 0]);
+        realignRhombus(rhomb, {
+            x: region.x + random() * region.width - center[0],
+            y: region.y + random() * region.height - center[1]
+        });
+
+        rhomb.aligned = false;
+        rhomb.locked = false;
+        rhomb.illegal = false;
+    }
+
+    logDebug(`Scrambled ${rhombs.length} rhombuses`);
+}
+
+/**
+ * Find the rhombi a relaxation may move
+ * @param {Array} rhombs - All rhombi
+ * @returns {Array} Indices of the aligned, unlocked rhombi
+ */
+function findRelaxableRhombuses(rhombs) {
+    const free = [];
+    for (let i = 0; i < rhombs.length; i++) {
+        if (rhombs[i].aligned && !rhombs[i].locked) {
+            free.push(i);
+        }
+    }
+    return free;
+}
+
+/**
+ * Run one relaxation pass, moving each free rhombus to the mean of the positions its
+ * aligned neighbors ask for
+ * @param {Array} rhombs - All rhombi, moved in place
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {Array} free - Indices from findRelaxableRhombuses
+ * @returns {number} Distance of the largest move
+ */
+function relaxAlignmentPass(rhombs, rhombGraph, free) {
+    let largestMove = 0;
+
+    for (const index of free) {
+        let sumX = 0;
+        let sumY = 0;
+        let count = 0;
+
+        for (const { neighborIndex, sharedLine, direction } of rhombGraph.get(index) || []) {
+            if (!rhombs[neighborIndex].aligned) {
+                continue;
+            }
+
+            // Seen from the neighbor, this rhombus lies in the opposite direction
+            const reverseDirection = direction === 'forward' ? 'backward' : 'forward';
+            const offset = calculateAlignmentOffset(rhombs[neighborIndex], rhombs[index], sharedLine, reverseDirection);
+            sumX += offset.x;
+            sumY += offset.y;
+            count++;
+        }
+
+        if (count === 0) {
+            continue;
+        }
+
+        const move = { x: sumX / count, y: sumY / count };
+        realignRhombus(rhombs[index], move);
+        largestMove = Math.max(largestMove, Math.hypot(move.x, move.y));
+    }
+
+    return largestMove;
+}
+
+/**
+ * Start relaxing the aligned, unlocked rhombi
+ * @param {Array} rhombs - All rhombi
+ * @returns {Object} Relaxation state {free, passes, largestMove} for advanceRelaxation
+ */
+function createRelaxation(rhombs) {
+    return { free: findRelaxableRhombuses(rhombs), passes: 0, largestMove: Infinity };
+}
+
+/**
+ * Run one relaxation pass and decide whether the relaxation is over
+ * @param {Array} rhombs - All rhombi, moved in place
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {Object} relaxation - State from createRelaxation, updated in place
+ * @param {number} [maxPasses] - Largest number of passes
+ * @returns {boolean} True once the rhombi have settled or the passes have run out
+ */
+function advanceRelaxation(rhombs, rhombGraph, relaxation, maxPasses = MAX_RELAX_PASSES) {
+    relaxation.largestMove = relaxAlignmentPass(rhombs, rhombGraph, relaxation.free);
+    relaxation.passes++;
+    return isRelaxationConverged(relaxation) || relaxation.passes >= maxPasses;
+}
+
+/**
+ * Whether the last pass of a relaxation left every rhombus in place
+ * @param {Object} relaxation - State from createRelaxation
+ * @returns {boolean} True if no rhombus moved further than EPSILON
+ */
+function isRelaxationConverged(relaxation) {
+    return relaxation.largestMove <= EPSILON;
+}
+
+/**
+ * Log how a finished relaxation ended, warning if it ran out of passes
+ * @param {Object} relaxation - State from createRelaxation
+ */
+function logRelaxationResult(relaxation) {
+    const { free, passes } = relaxation;
+    if (isRelaxationConverged(relaxation)) {
+        console.log(`Relaxed ${free.length} rhombuses in ${passes} passes`);
+    } else {
+        console.warn(`Stopped relaxing ${free.length} rhombuses after ${passes} passes without converging`);
+    }
+}
+
+/**
+ * Move aligned, unlocked rhombi to minimize the total squared edge error
+ * Each pass moves every free rhombus to the mean of the positions its aligned
+ * neighbors ask for (Gauss-Seidel); locked anchors never move, so the error
+ * between inconsistent anchors is spread over the tiles between them. The sketch
+ * runs the same passes a few per frame instead
+ * @param {Array} rhombs - All rhombi, moved in place
+ * @param {Map} rhombGraph - Adjacency graph from buildRhombGraph
+ * @param {number} [maxPasses] - Largest number of passes
+ * @returns {Object} Result {passes, converged}, where converged is false if the passes ran out
+ *   while rhombi were still moving
+ */
+function relaxAlignment(rhombs, rhombGraph, maxPasses = MAX_RELAX_PASSES) {
+    const relaxation = createRelaxation(rhombs);
+    while (!advanceRelaxation(rhombs, rhombGraph, relaxation, maxPasses)) {
+        // Keep relaxing until the rhombi settle or the passes run out
+    }
+
+    logRelaxationResult(relaxation);
+    return { passes: relaxation.passes, converged: isRelaxationConverged(relaxation) };
 }
 
 /**
  * Reset all rhombuses to their original positions
+ * @param {Array} rhombs - All rhombi, restored in place
  */
-function resetRhombuses() {
-    for (const rhomb of rhombPoints) {
+function resetRhombuses(rhombs) {
+    for (const rhomb of rhombs) {
         // Restore original points
         for (let i = 0; i < rhomb.points.length; i++) {
             rhomb.points[i][0] = rhomb.originalPoints[i][0];
@@ -673,5 +1485,119 @@ function resetRhombuses() {
         rhomb.locked = false;
     }
 
-    console.log('Reset all rhombuses to original positions');
-}
\ No newline at end of file
+    logDebug('Reset all rhombuses to original positions');
+}
+
+/**
+ * Validate grid parameters
+ * @param {Object} params - Parameters {gammas, numLines, spacing, scale, families}
+ * @returns {string|null} Error message, or null if the parameters are valid
+ */
+function validateParameters(params) {
+    const families = getFamilyCount(params);
+    if (!Number.isInteger(families) || families < MIN_FAMILIES || families > MAX_FAMILIES) {
+        return `Families must be an integer between ${MIN_FAMILIES} and ${MAX_FAMILIES}`;
+    }
+    if (!Array.isArray(params.gammas) || params.gammas.length !== families || !params.gammas.every(Number.isFinite)) {
+        return 'Every gamma must be a finite number, one per family';
+    }
+    if (!Number.isInteger(params.numLines) || params.numLines < 0 || params.numLines > MAX_NUM_LINES) {
+        return `Lines per family must be an integer between 0 and ${MAX_NUM_LINES}`;
+    }
+    if (!Number.isFinite(params.spacing) || params.spacing <= 0) {
+        return 'Spacing must be a positive number';
+    }
+    if (!Number.isFinite(params.scale) || params.scale <= 0) {
+        return 'Scale must be a positive number';
+    }
+    return null;
+}
+
+/**
+ * Generate a complete tiling from grid parameters
+ * @param {Object} params - Grid parameters {gammas, numLines, spacing, scale, families}
+ * @returns {Object} Tiling {gridLines, intersections, rhombs, rhombGraph, singularPoints}
+ */
+function generateTiling(params) {
+    const gridLines = generateGridFamilies(params);
+    const intersections = findIntersections(gridLines);
+    const rhombs = generateRhombi(intersections, params.scale);
+    const rhombGraph = buildRhombGraph(rhombs);
+    const singularPoints = findSingularPoints(intersections);
+
+    if (singularPoints.length > 0) {
+        console.warn(`Grid has ${singularPoints.length} singular points where three or more lines meet`);
+    }
+
+    return { gridLines, intersections, rhombs, rhombGraph, singularPoints };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EPSILON,
+        RIGHT_ANGLE,
+        ANGLE_TOLERANCE,
+        GOLDEN_RATIO,
+        MAX_NUM_LINES,
+        DEFAULT_FAMILIES,
+        MIN_FAMILIES,
+        MAX_FAMILIES,
+        MAX_RELAX_PASSES,
+        SINGULAR_PERTURBATION,
+        LOG_LEVELS,
+        setLogLevel,
+        logDebug,
+        intersect,
+        getAngleBetweenLines,
+        findRhomb,
+        generateRhombi,
+        getRhombType,
+        getRhombTypeAngle,
+        countRhombTypes,
+        getFamilyCount,
+        familyAngle,
+        findGridFamily,
+        createGridLine,
+        generateGridFamilies,
+        findIntersections,
+        findSingularPoints,
+        perturbGammas,
+        resolveSingularGammas,
+        isPointInPolygon,
+        getSignedArea,
+        getPositivePoints,
+        clipToConvexPolygon,
+        getPolygonBounds,
+        createVertexMerger,
+        buildRhombGraph,
+        getLineKey,
+        buildLineIndex,
+        findNeighborInLineIndex,
+        findClosestNeighborsOnLine,
+        getUnalignedAdjacentTiles,
+        calculateAlignmentOffset,
+        findEdgeOnLine,
+        realignRhombus,
+        findSnapTarget,
+        findGroupSnapTarget,
+        findRhombsInRect,
+        getEdgeOverlapLength,
+        findIllegalContacts,
+        createAlignmentQueue,
+        stepAlignmentQueue,
+        alignRhombuses,
+        findAlignmentConflicts,
+        countSatisfiedEdges,
+        scrambleRhombuses,
+        findRelaxableRhombuses,
+        relaxAlignmentPass,
+        createRelaxation,
+        advanceRelaxation,
+        isRelaxationConverged,
+        logRelaxationResult,
+        relaxAlignment,
+        resetRhombuses,
+        validateParameters,
+        generateTiling
+    };
+}
@@ -0,0 +1,203 @@
+/**
+ * Vertex-star classification
+ * Merges the shared corners of the kites and darts into tiling vertices and
+ * names each vertex by the tiles around it. A legal P2 tiling has exactly
+ * seven vertex neighborhoods, Conway's sun, star, ace, deuce, jack, queen and
+ * king; any other complete neighborhood breaks the matching rules. Vertices on
+ * the edge of the patch, where the corners around them don't close, are left
+ * unclassified.
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    var { createVertexMerger, getSignedArea } = require('./utils.js');
+}
+
+// Corners of the P2 tiles, keyed by tile type and interior angle in degrees. A kite has two
+// 72° corners beside its axis as well as the 72° head on it, so axis corners are tagged apart
+const TILE_CORNERS = {
+    kite: { axis: { 72: 'kite-head', 144: 'kite-tail' }, side: { 72: 'kite-side' } },
+    dart: { axis: { 72: 'dart-head', 216: 'dart-notch' }, side: { 36: 'dart-side' } }
+};
+
+// Corners around each legal vertex, in order around it; the same neighborhood may
+// start anywhere in the cycle and run in either direction
+const VERTEX_STARS = {
+    sun: ['kite-head', 'kite-head', 'kite-head', 'kite-head', 'kite-head'],
+    star: ['dart-head', 'dart-head', 'dart-head', 'dart-head', 'dart-head'],
+    ace: ['kite-side', 'dart-notch', 'kite-side'],
+    deuce: ['kite-tail', 'dart-side', 'dart-side', 'kite-tail'],
+    jack: ['kite-tail', 'dart-side', 'kite-head', 'kite-head', 'dart-side'],
+    queen: ['dart-head', 'kite-side', 'kite-side', 'kite-side', 'kite-side'],
+    king: ['dart-head', 'kite-side', 'kite-side', 'dart-head', 'dart-head']
+};
+
+// Angle step of the corners, in degrees
+const CORNER_ANGLE_STEP = 36;
+
+/**
+ * Measure the interior angle at each corner of a polygon
+ * @param {Array} points - Corners [x, y] in order around the polygon
+ * @returns {Array} Interior angles in degrees, above 180 at reflex corners
+ */
+function getInteriorAngles(points) {
+    // Signed area tells which way the polygon winds
+    const winding = Math.sign(getSignedArea(points));
+
+    return points.map((p, i) => {
+        const previous = points[(i + points.length - 1) % points.length];
+        const next = points[(i + 1) % points.length];
+        const a = [previous[0] - p[0], previous[1] - p[1]];
+        const b = [next[0] - p[0], next[1] - p[1]];
+        const angle = Math.atan2(b[0] * a[1] - b[1] * a[0], a[0] * b[0] + a[1] * b[1]) * winding;
+        return ((angle * 180 / Math.PI) + 360) % 360;
+    });
+}
+
+/**
+ * Name the corners of a whole kite or dart
+ * @param {Object} tile - Tile from composeKitesAndDarts with four points, the axis from points[0] to points[2]
+ * @returns {Array} Corner names from TILE_CORNERS, or null where the angle doesn't fit the tile
+ */
+function getTileCorners(tile) {
+    return getInteriorAngles(tile.points).map((angle, i) => {
+        const rounded = Math.round(angle / CORNER_ANGLE_STEP) * CORNER_ANGLE_STEP;
+        return TILE_CORNERS[tile.type][i % 2 === 0 ? 'axis' : 'side'][rounded] ?? null;
+    });
+}
+
+/**
+ * Group the corners of whole tiles into shared vertices
+ * Corners closer than the tolerance are one vertex
+ * @param {Array} tiles - Tiles from composeKitesAndDarts; half tiles are skipped
+ * @param {number} tolerance - Distance below which two corners count as the same vertex
+ * @returns {Array} Vertices {point, corners}, with corners {tile, corner, angle} where tile is an
+ *   index into tiles and angle the direction from the vertex into the tile
+ */
+function mergeTileVertices(tiles, tolerance) {
+    const { findVertex } = createVertexMerger(tolerance);
+    const vertices = [];
+
+    tiles.forEach((tile, index) => {
+        if (tile.half) {
+            return;
+        }
+
+        const center = tile.points.reduce((sum, p) => [sum[0] + p[0] / 4, sum[1] + p[1] / 4], [0, 0]);
+        getTileCorners(tile).forEach((corner, i) => {
+            const p = tile.points[i];
+            const index = findVertex(p);
+            if (index === vertices.length) {
+                vertices.push({ point: p, corners: [] });
+            }
+            vertices[index].corners.push({
+                tile: index,
+                corner,
+                angle: Math.atan2(center[1] - p[1], center[0] - p[0])
+            });
+        });
+    });
+
+    return vertices;
+}
+
+/**
+ * Look up the interior angle of a named corner
+ * @param {string} name - Corner name from TILE_CORNERS
+ * @returns {number} Angle in degrees
+ */
+function getCornerAngle(name) {
+    for (const corners of Object.values(TILE_CORNERS)) {
+        for (const group of Object.values(corners)) {
+            for (const [angle, corner] of Object.entries(group)) {
+                if (corner === name) {
+                    return Number(angle);
+                }
+            }
+        }
+    }
+    return NaN;
+}
+
+/**
+ * Check whether a cycle of corner names matches another, from any start and in either direction
+ * @param {Array} cycle - Corner names in order around a vertex
+ * @param {Array} pattern - Corner names of a legal vertex
+ * @returns {boolean} True if they describe the same neighborhood
+ */
+function matchesCornerCycle(cycle, pattern) {
+    if (cycle.length !== pattern.length) {
+        return false;
+    }
+
+    const reversed = [...pattern].reverse();
+    for (let start = 0; start < pattern.length; start++) {
+        for (const candidate of [pattern, reversed]) {
+            if (cycle.every((corner, i) => corner === candidate[(start + i) % candidate.length])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Classify a merged vertex by the corners around it
+ * @param {Object} vertex - Vertex from mergeTileVertices
+ * @returns {string|null} Key of VERTEX_STARS, 'illegal' if the corners fill the full turn (or
+ *   overfill it) in no legal arrangement, or null if the vertex is on the edge of the patch
+ */
+function classifyVertex(vertex) {
+    const corners = [...vertex.corners].sort((a, b) => a.angle - b.angle);
+    if (corners.some(corner => corner.corner === null)) {
+        return 'illegal';
+    }
+
+    const total = corners.reduce((sum, corner) => sum + getCornerAngle(corner.corner), 0);
+    if (total < 360) {
+        return null;
+    }
+    if (total > 360) {
+        return 'illegal';
+    }
+
+    const cycle = corners.map(corner => corner.corner);
+    const name = Object.keys(VERTEX_STARS).find(star => matchesCornerCycle(cycle, VERTEX_STARS[star]));
+    return name ?? 'illegal';
+}
+
+/**
+ * Classify every vertex of a kite and dart tiling
+ * @param {Array} tiles - Tiles from composeKitesAndDarts
+ * @param {number} tolerance - Distance below which two corners count as the same vertex
+ * @returns {Object} Result {vertices, counts}: vertices {point, type, tiles} for every vertex off the
+ *   edge of the patch, where type is a key of VERTEX_STARS or 'illegal' and tiles the indices of the
+ *   tiles around it, and counts the number of vertices of each type
+ */
+function classifyVertexStars(tiles, tolerance) {
+    const counts = Object.fromEntries([...Object.keys(VERTEX_STARS), 'illegal'].map(type => [type, 0]));
+    const vertices = [];
+
+    for (const vertex of mergeTileVertices(tiles, tolerance)) {
+        const type = classifyVertex(vertex);
+        if (type === null) {
+            continue;
+        }
+        counts[type]++;
+        vertices.push({ point: vertex.point, type, tiles: vertex.corners.map(corner => corner.tile) });
+    }
+
+    return { vertices, counts };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TILE_CORNERS,
+        VERTEX_STARS,
+        getInteriorAngles,
+        getTileCorners,
+        mergeTileVertices,
+        matchesCornerCycle,
+        classifyVertex,
+        classifyVertexStars
+    };
+}
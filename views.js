@@ -0,0 +1,126 @@
+/**
+ * Alternate tiling views
+ * Shows the aligned rhombus tiling as Robinson triangles or as kites and darts,
+ * with every piece remembering the rhombi it was cut from
+ */
+
+// View modes offered in the panel
+const VIEW_MODES = {
+    rhombi: 'Rhombi (P3)',
+    triangles: 'Robinson triangles',
+    kites: 'Kites and darts (P2)'
+};
+
+// Fill colors of the pieces in the alternate views
+const PIECE_FILLS = {
+    acute: '#4FC3F7',
+    obtuse: '#FFD54F',
+    kite: '#FFB74D',
+    dart: '#7986CB'
+};
+
+// Vertices closer than this fraction of the edge length are merged when pairing halves
+const PIECE_TOLERANCE_RATIO = 0.01;
+
+// Current view and the pieces it shows
+let viewMode = 'rhombi';
+let viewPieces = [];
+
+/**
+ * Recompute the pieces of the current view from the rhombi
+ * Only a completed alignment can be converted; otherwise the view shows no pieces
+ */
+function refreshTilingView() {
+    if (viewMode === 'rhombi' || !isAligned) {
+        viewPieces = [];
+        return;
+    }
+
+    const triangles = decomposeToRobinsonTriangles(rhombPoints, getGridParameters());
+    if (viewMode === 'triangles') {
+        viewPieces = triangles.map(triangle => ({ type: triangle.type, points: triangle.points, sources: [triangle.source] }));
+    } else {
+        viewPieces = composeKitesAndDarts(triangles, SCALE * PIECE_TOLERANCE_RATIO);
+    }
+
+    logDebug(`Converted ${rhombPoints.length} rhombi into ${viewPieces.length} pieces`);
+}
+
+/**
+ * Switch between the rhombus tiling and its alternate views
+ * @param {string} mode - Key of VIEW_MODES
+ */
+function setViewMode(mode) {
+    viewMode = mode;
+    refreshTilingView();
+
+    if (mode === 'rhombi') {
+        return;
+    }
+    if (!isAligned) {
+        showPanelMessage('Finish the alignment to convert the tiling', true);
+    } else if (viewPieces.length === 0) {
+        showPanelMessage('Only a pentagrid whose gammas sum to an integer can be converted', true);
+    }
+}
+
+/**
+ * Check whether an alternate view replaces the rhombi on screen
+ * @returns {boolean} True if pieces are drawn instead of rhombi
+ */
+function isShowingPieces() {
+    return viewPieces.length > 0;
+}
+
+/**
+ * Draw the pieces of the alternate view
+ * The rhombus under the cursor is outlined along with the pieces cut from it
+ */
+function drawTilingView() {
+    push();
+    stroke(0);
+    strokeWeight(screenWeight(1));
+
+    for (const piece of viewPieces) {
+        const fillColor = color(PIECE_FILLS[piece.type]);
+        fillColor.setAlpha(piece.half ? TILE_FILL_ALPHA / 2 : TILE_FILL_ALPHA);
+        fill(fillColor);
+
+        beginShape();
+        for (const point of piece.points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    }
+
+    const mouse = screenToWorld(mouseX, mouseY);
+    const hoveredIndex = isWithinBounds(mouseX, mouseY)
+        ? rhombPoints.findIndex(rhomb => isPointInPolygon(mouse.x, mouse.y, rhomb))
+        : -1;
+
+    if (hoveredIndex >= 0) {
+        noFill();
+        stroke(244, 67, 54);
+        strokeWeight(screenWeight(3));
+        for (const piece of viewPieces) {
+            if (!piece.sources.includes(hoveredIndex)) {
+                continue;
+            }
+            beginShape();
+            for (const point of piece.points) {
+                vertex(point[0], point[1]);
+            }
+            endShape(CLOSE);
+        }
+
+        stroke(0);
+        strokeWeight(screenWeight(2));
+        beginShape();
+        for (const point of rhombPoints[hoveredIndex].points) {
+            vertex(point[0], point[1]);
+        }
+        endShape(CLOSE);
+    }
+
+    pop();
+}